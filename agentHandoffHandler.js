@@ -0,0 +1,459 @@
+const WebSocket = require('ws');
+const { hasPermission } = require('./utils/permissions');
+
+/**
+ * Live handoff of a patient conversation from the AI to a human agent.
+ * While an agent holds a conversation, patient chat messages are relayed to the agent instead of the AI API.
+ * Handoffs are kept in memory, so agent and patient must be connected to the same server instance.
+ */
+class AgentHandoffHandler {
+  constructor(wsServer, escalationService = null, conversationService = null) {
+    this.wsServer = wsServer;
+    this.escalationService = escalationService;
+    this.conversationService = conversationService;
+    this.handoffs = new Map();
+  }
+
+  isHeld(conversationId) {
+    return !!conversationId && this.handoffs.has(conversationId);
+  }
+
+  getHandoff(conversationId) {
+    return this.handoffs.get(conversationId) || null;
+  }
+
+  /**
+   * Client IDs of every patient socket attached to a conversation
+   * @param {string} conversationId - Conversation ID
+   * @returns {Array<string>} Client IDs
+   */
+  getPatientClientIds(conversationId) {
+    const clientIds = [];
+    this.wsServer.sessions.forEach((session, clientId) => {
+      if (session.conversationId === conversationId && !this.isAgentClient(clientId)) {
+        clientIds.push(clientId);
+      }
+    });
+    return clientIds;
+  }
+
+  isAgentClient(clientId) {
+    for (const handoff of this.handoffs.values()) {
+      if (handoff.agentClientId === clientId) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  sendToPatients(conversationId, message) {
+    this.getPatientClientIds(conversationId).forEach((clientId) => {
+      this.wsServer.sendMessage(clientId, message);
+    });
+  }
+
+  /**
+   * Store a message in the patient's conversation and in the memory of every attached patient session
+   */
+  async recordConversationMessage(handoff, entry) {
+    this.getPatientClientIds(handoff.conversationId).forEach((clientId) => {
+      const session = this.wsServer.sessions.get(clientId);
+      if (session) {
+        this.wsServer.rememberSessionMessage(session, entry);
+      }
+    });
+
+    if (!this.conversationService) {
+      return;
+    }
+
+    try {
+      await this.conversationService.appendMessage(handoff.conversationId, handoff.patientUserId, handoff.patientName, entry);
+    } catch (error) {
+      console.error(`Failed to persist handoff message for conversation ${handoff.conversationId}:`, error);
+    }
+  }
+
+  requireAgent(clientId) {
+    const client = this.wsServer.clients.get(clientId);
+    if (!client || !hasPermission(client.user, 'escalations:manage')) {
+      throw new Error('Only staff agents can perform this action');
+    }
+    return client;
+  }
+
+  /**
+   * Whether this agent socket already holds the conversation; throws if another agent does
+   * @returns {boolean} True when the claim would be a repeat by the same socket
+   */
+  isAlreadyClaimedBy(clientId, conversationId) {
+    const handoff = this.getHandoff(conversationId);
+    if (!handoff) {
+      return false;
+    }
+    if (handoff.agentClientId !== clientId) {
+      throw new Error('Conversation is already held by another agent');
+    }
+    return true;
+  }
+
+  /**
+   * Escalations only store the patient's user ID, so the display name comes from the users collection,
+   * falling back to a connected patient session
+   */
+  async resolvePatientName(escalation) {
+    const authService = this.wsServer.authService;
+    if (authService && escalation.userId) {
+      try {
+        const user = await authService.getUserById(String(escalation.userId));
+        if (user && user.username) {
+          return user.username;
+        }
+      } catch (error) {
+        console.error(`Failed to look up patient for escalation ${escalation._id}:`, error.message);
+      }
+    }
+
+    const patientSession = this.wsServer.sessions.get(this.getPatientClientIds(escalation.conversationId)[0]);
+    return patientSession ? patientSession.username : null;
+  }
+
+  sendClaimed(clientId, handoff, escalation) {
+    this.wsServer.sendMessage(clientId, {
+      type: 'agent-claimed',
+      escalationId: handoff.escalationId,
+      conversationId: handoff.conversationId,
+      patientId: handoff.patientUserId,
+      patientOnline: this.getPatientClientIds(handoff.conversationId).length > 0,
+      reason: escalation.reason,
+      priorityLevel: escalation.priorityLevel,
+      transcript: escalation.transcript || [],
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Agent takes over the conversation behind an open escalation
+   * @param {string} clientId - Agent's WebSocket client ID
+   * @param {Object} message - { type: 'agent-claim', escalationId }
+   */
+  async handleClaim(clientId, message) {
+    try {
+      const client = this.requireAgent(clientId);
+
+      if (!this.escalationService) {
+        throw new Error('Escalation service not available');
+      }
+
+      if (!message.escalationId) {
+        throw new Error('escalationId is required');
+      }
+
+      const escalation = await this.escalationService.getEscalationById(message.escalationId);
+      if (!escalation) {
+        throw new Error('Escalation not found');
+      }
+
+      if (!escalation.conversationId) {
+        throw new Error('Escalation has no live conversation to join');
+      }
+
+      if (this.isAlreadyClaimedBy(clientId, escalation.conversationId)) {
+        this.sendClaimed(clientId, this.getHandoff(escalation.conversationId), escalation);
+        return;
+      }
+
+      const claimed = await this.escalationService.claimEscalation(message.escalationId, client.user.userId);
+      const patientName = await this.resolvePatientName(claimed);
+
+      // Another claim may have completed while this one was waiting on the database
+      if (this.isAlreadyClaimedBy(clientId, claimed.conversationId)) {
+        this.sendClaimed(clientId, this.getHandoff(claimed.conversationId), claimed);
+        return;
+      }
+
+      const handoff = {
+        conversationId: claimed.conversationId,
+        escalationId: String(claimed._id),
+        patientUserId: String(claimed.userId),
+        patientName,
+        agentClientId: clientId,
+        agentUserId: client.user.userId,
+        agentName: client.user.username,
+        startedAt: new Date()
+      };
+      this.handoffs.set(handoff.conversationId, handoff);
+
+      this.sendClaimed(clientId, handoff, claimed);
+
+      const notice = {
+        type: 'handoff-started',
+        escalationId: handoff.escalationId,
+        conversationId: handoff.conversationId,
+        agentName: handoff.agentName,
+        message: `${handoff.agentName} has joined the conversation.`,
+        timestamp: new Date().toISOString()
+      };
+      this.sendToPatients(handoff.conversationId, notice);
+      await this.recordConversationMessage(handoff, { ...notice, timestamp: new Date(), from: 'system' });
+
+      console.log(`Agent ${handoff.agentName} claimed escalation ${handoff.escalationId} (${handoff.conversationId})`);
+    } catch (error) {
+      console.error('Error claiming escalation:', error.message);
+      this.wsServer.sendError(clientId, error.message || 'Failed to claim escalation');
+    }
+  }
+
+  /**
+   * Agent sends a chat message to the patient
+   * @param {string} clientId - Agent's WebSocket client ID
+   * @param {Object} message - { type: 'agent-message', conversationId, content }
+   */
+  async handleAgentMessage(clientId, message) {
+    try {
+      this.requireAgent(clientId);
+
+      const handoff = this.getHandoff(message.conversationId);
+      if (!handoff || handoff.agentClientId !== clientId) {
+        throw new Error('You are not handling this conversation');
+      }
+
+      const text = message.content || message.message;
+      if (!text || typeof text !== 'string' || text.trim().length === 0) {
+        throw new Error('Message content is required');
+      }
+
+      const entry = {
+        type: 'agent-message',
+        messageId: this.generateMessageId(),
+        conversationId: handoff.conversationId,
+        escalationId: handoff.escalationId,
+        agentName: handoff.agentName,
+        message: text.trim(),
+        timestamp: new Date().toISOString()
+      };
+
+      this.sendToPatients(handoff.conversationId, entry);
+      this.wsServer.sendMessage(clientId, { ...entry, type: 'agent-message-sent' });
+
+      await this.recordConversationMessage(handoff, {
+        ...entry,
+        timestamp: new Date(),
+        from: 'agent',
+        agentId: handoff.agentUserId
+      });
+    } catch (error) {
+      console.error('Error sending agent message:', error.message);
+      this.wsServer.sendError(clientId, error.message || 'Failed to send agent message');
+    }
+  }
+
+  /**
+   * Relay a patient's chat message to the agent holding the conversation
+   * @param {string} clientId - Patient's WebSocket client ID
+   * @param {Object} message - Validated chat message
+   * @returns {Promise<boolean>} False when the agent's socket is gone and the handoff was ended, so the AI should answer
+   */
+  async forwardPatientMessage(clientId, message) {
+    const session = this.wsServer.sessions.get(clientId);
+    const handoff = this.getHandoff(session.conversationId);
+
+    if (!this.isAgentConnected(handoff)) {
+      await this.endHandoff(handoff, 'agent-disconnected');
+      return false;
+    }
+
+    const text = (message.content || message.message || message.query).trim();
+    const messageId = this.generateMessageId();
+
+    await this.wsServer.recordSessionMessage(session, {
+      type: 'chat',
+      message: text,
+      timestamp: new Date(),
+      from: 'user',
+      messageId: messageId,
+      handledBy: 'agent'
+    });
+
+    this.wsServer.sendMessage(handoff.agentClientId, {
+      type: 'patient-message',
+      messageId: messageId,
+      conversationId: handoff.conversationId,
+      escalationId: handoff.escalationId,
+      patientName: session.username,
+      message: text,
+      timestamp: new Date().toISOString()
+    });
+
+    this.wsServer.sendMessage(clientId, {
+      type: 'message-delivered',
+      messageId: messageId,
+      timestamp: new Date().toISOString()
+    });
+    return true;
+  }
+
+  isAgentConnected(handoff) {
+    const agent = this.wsServer.clients.get(handoff.agentClientId);
+    return !!agent && agent.ws.readyState === WebSocket.OPEN;
+  }
+
+  /**
+   * Agent hands the conversation back to the AI assistant
+   * @param {string} clientId - Agent's WebSocket client ID
+   * @param {Object} message - { type: 'agent-release', conversationId, resolve }
+   */
+  async handleRelease(clientId, message) {
+    try {
+      this.requireAgent(clientId);
+
+      const handoff = this.getHandoff(message.conversationId);
+      if (!handoff || handoff.agentClientId !== clientId) {
+        throw new Error('You are not handling this conversation');
+      }
+
+      await this.endHandoff(handoff, 'released');
+
+      if (message.resolve === true && this.escalationService) {
+        await this.escalationService.updateEscalationStatus(handoff.escalationId, 'resolved', null, {
+          actorId: handoff.agentUserId,
+          comment: message.comment || 'Resolved during live chat'
+        });
+      }
+
+      this.wsServer.sendMessage(clientId, {
+        type: 'agent-released',
+        conversationId: handoff.conversationId,
+        escalationId: handoff.escalationId,
+        resolved: message.resolve === true,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Error releasing conversation:', error.message);
+      this.wsServer.sendError(clientId, error.message || 'Failed to release conversation');
+    }
+  }
+
+  async endHandoff(handoff, reason) {
+    this.handoffs.delete(handoff.conversationId);
+
+    const notice = {
+      type: 'handoff-ended',
+      escalationId: handoff.escalationId,
+      conversationId: handoff.conversationId,
+      reason,
+      message: 'You are now chatting with the AI assistant again.',
+      timestamp: new Date().toISOString()
+    };
+    this.sendToPatients(handoff.conversationId, notice);
+    await this.recordConversationMessage(handoff, { ...notice, timestamp: new Date(), from: 'system' });
+
+    console.log(`Handoff of ${handoff.conversationId} ended (${reason})`);
+  }
+
+  /**
+   * Relay typing indicators between patient and agent
+   * @param {string} clientId - Sender's WebSocket client ID
+   * @param {Object} message - { type: 'typing', isTyping, conversationId (agents only) }
+   */
+  handleTyping(clientId, message) {
+    const isTyping = message.isTyping !== false;
+    const session = this.wsServer.sessions.get(clientId);
+
+    if (this.isAgentClient(clientId)) {
+      const handoff = this.getHandoff(message.conversationId);
+      if (!handoff || handoff.agentClientId !== clientId) {
+        return;
+      }
+
+      this.sendToPatients(handoff.conversationId, {
+        type: 'typing',
+        from: 'agent',
+        agentName: handoff.agentName,
+        conversationId: handoff.conversationId,
+        isTyping,
+        timestamp: new Date().toISOString()
+      });
+      return;
+    }
+
+    const handoff = session && this.getHandoff(session.conversationId);
+    if (!handoff) {
+      return;
+    }
+
+    this.wsServer.sendMessage(handoff.agentClientId, {
+      type: 'typing',
+      from: 'patient',
+      conversationId: handoff.conversationId,
+      isTyping,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Called when a patient socket attaches to a conversation (e.g. after a resume)
+   */
+  handlePatientConnected(clientId) {
+    const session = this.wsServer.sessions.get(clientId);
+    const handoff = session && this.getHandoff(session.conversationId);
+    if (!handoff) {
+      return;
+    }
+
+    this.wsServer.sendMessage(clientId, {
+      type: 'handoff-started',
+      escalationId: handoff.escalationId,
+      conversationId: handoff.conversationId,
+      agentName: handoff.agentName,
+      message: `${handoff.agentName} is handling this conversation.`,
+      timestamp: new Date().toISOString()
+    });
+
+    this.sendPresence(handoff.agentClientId, handoff, 'patient', 'online');
+  }
+
+  /**
+   * Called before a socket's client and session are removed
+   */
+  async handleDisconnect(clientId, session) {
+    for (const handoff of Array.from(this.handoffs.values())) {
+      if (handoff.agentClientId === clientId) {
+        this.sendToPatients(handoff.conversationId, {
+          type: 'presence',
+          participant: 'agent',
+          agentName: handoff.agentName,
+          conversationId: handoff.conversationId,
+          status: 'offline',
+          timestamp: new Date().toISOString()
+        });
+        await this.endHandoff(handoff, 'agent-disconnected');
+      }
+    }
+
+    const handoff = session && this.getHandoff(session.conversationId);
+    if (handoff && handoff.agentClientId !== clientId) {
+      const remaining = this.getPatientClientIds(handoff.conversationId).filter(id => id !== clientId);
+      if (remaining.length === 0) {
+        this.sendPresence(handoff.agentClientId, handoff, 'patient', 'offline');
+      }
+    }
+  }
+
+  sendPresence(targetClientId, handoff, participant, status) {
+    this.wsServer.sendMessage(targetClientId, {
+      type: 'presence',
+      participant,
+      conversationId: handoff.conversationId,
+      escalationId: handoff.escalationId,
+      status,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  generateMessageId() {
+    return 'msg_' + Math.random().toString(36).substr(2, 9) + '_' + Date.now();
+  }
+}
+
+module.exports = AgentHandoffHandler;
@@ -1,21 +1,40 @@
 const { MongoClient, ObjectId } = require('mongodb');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const { ROLES, DEFAULT_ROLE, getRole } = require('./utils/permissions');
+const { createMailer } = require('./utils/mailer');
+const { instrumentMongoClient } = require('./utils/metrics');
 require('dotenv').config();
 
+const TOKEN_PURPOSES = {
+  EMAIL_VERIFICATION: 'email-verification',
+  PASSWORD_RESET: 'password-reset'
+};
+
 class AuthService {
-  constructor() {
+  constructor(mailer = null) {
     this.client = null;
     this.db = null;
     this.users = null;
+    this.refreshTokens = null;
+    this.authTokens = null;
+    this.loginAttempts = null;
+    this.mailer = mailer || createMailer();
   }
 
   async connect() {
     try {
-      this.client = new MongoClient(process.env.MONGODB_URI);
+      this.client = new MongoClient(process.env.MONGODB_URI, { monitorCommands: true });
+      instrumentMongoClient(this.client);
       await this.client.connect();
       this.db = this.client.db('chatbot_db');
       this.users = this.db.collection('users');
+      this.refreshTokens = this.db.collection('refresh_tokens');
+      this.authTokens = this.db.collection('auth_tokens');
+      this.loginAttempts = this.db.collection('login_attempts');
+      await this.createIndexes();
+      await this.ensureInitialAdmin();
       console.log('Connected to MongoDB Atlas - Database: chatbot_db');
     } catch (error) {
       console.error('MongoDB connection error:', error);
@@ -23,6 +42,56 @@ class AuthService {
     }
   }
 
+  async createIndexes() {
+    try {
+      await this.refreshTokens.createIndex({ tokenHash: 1 }, { unique: true });
+      await this.refreshTokens.createIndex({ familyId: 1 });
+      await this.refreshTokens.createIndex({ userId: 1 });
+      await this.refreshTokens.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+      await this.authTokens.createIndex({ tokenHash: 1 }, { unique: true });
+      await this.authTokens.createIndex({ userId: 1, purpose: 1 });
+      await this.authTokens.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+      await this.loginAttempts.createIndex({ key: 1 }, { unique: true });
+      await this.loginAttempts.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+      console.log('Auth token indexes created successfully');
+    } catch (error) {
+      console.error('Error creating auth token indexes:', error);
+    }
+  }
+
+  /**
+   * Give a fresh deployment its first admin: while no admin exists, INITIAL_ADMIN_USERNAME is created with
+   * INITIAL_ADMIN_PASSWORD. An existing account with that name is never promoted, since anyone could have
+   * registered it.
+   */
+  async ensureInitialAdmin() {
+    const username = process.env.INITIAL_ADMIN_USERNAME;
+    const password = process.env.INITIAL_ADMIN_PASSWORD;
+    if (!username || !password) {
+      return;
+    }
+
+    try {
+      const existingAdmin = await this.users.findOne({ role: 'admin' }, { projection: { _id: 1 } });
+      if (existingAdmin) {
+        return;
+      }
+
+      const user = await this.users.findOne({ username }, { projection: { _id: 1 } });
+      if (user) {
+        console.warn(`Initial admin not created: the username ${username} is already taken; choose another INITIAL_ADMIN_USERNAME`);
+        return;
+      }
+
+      await this.createUser(username, password, process.env.INITIAL_ADMIN_EMAIL || null, 'admin');
+      console.log(`Created initial admin ${username}`);
+    } catch (error) {
+      console.error('Error creating the initial admin:', error);
+    }
+  }
+
   async disconnect() {
     if (this.client) {
       await this.client.close();
@@ -30,8 +99,12 @@ class AuthService {
     }
   }
 
-  async createUser(username, password, email = null) {
+  async createUser(username, password, email = null, role = DEFAULT_ROLE) {
     try {
+      if (!ROLES.includes(role)) {
+        throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+      }
+
       const existingUser = await this.users.findOne({ username });
       if (existingUser) {
         throw new Error('User already exists');
@@ -44,6 +117,8 @@ class AuthService {
         username,
         password: hashedPassword,
         email,
+        role,
+        emailVerified: false,
         createdAt: new Date(),
         lastLogin: null,
         isActive: true
@@ -51,6 +126,15 @@ class AuthService {
 
       const result = await this.users.insertOne(user);
       console.log('User created successfully:', username);
+
+      if (email) {
+        try {
+          await this.sendVerificationEmail({ ...user, _id: result.insertedId });
+        } catch (mailError) {
+          console.error('Error sending verification email:', mailError);
+        }
+      }
+
       return result;
     } catch (error) {
       console.error('Error creating user:', error);
@@ -58,8 +142,25 @@ class AuthService {
     }
   }
 
-  async authenticateUser(username, password) {
+  async authenticateUser(username, password, ip = null) {
     try {
+      // Anything but plain strings could be a query operator, and would be counted under the wrong lockout key
+      if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
+        throw new Error('Username and password are required');
+      }
+
+      const lockout = await this.beginLoginAttempt(username, ip);
+      if (lockout.blocked) {
+        const error = new Error(lockout.locked
+          ? 'Too many failed login attempts. Account temporarily locked'
+          : 'Too many failed login attempts. Please wait before trying again');
+        error.code = lockout.locked ? 'ACCOUNT_LOCKED' : 'LOGIN_THROTTLED';
+        error.retryAfter = lockout.retryAfter;
+        error.lockedUntil = lockout.blockedUntil;
+        throw error;
+      }
+
+      // The attempt is already counted as a failure; only a correct password clears it
       const user = await this.users.findOne({ username, isActive: true });
       if (!user) {
         throw new Error('Invalid username or password');
@@ -70,20 +171,33 @@ class AuthService {
         throw new Error('Invalid username or password');
       }
 
+      // Only the account's counter is cleared: the IP counter expires on its own, so logging into an account of
+      // one's own between guesses cannot reset the per-IP limit
+      await this.resetLoginAttempts(username);
+      await this.releaseIpLoginAttempt(ip);
+
+      if (process.env.REQUIRE_EMAIL_VERIFICATION === 'true' && user.emailVerified === false) {
+        throw new Error('Email address not verified');
+      }
+
       await this.users.updateOne(
         { _id: user._id },
         { $set: { lastLogin: new Date() } }
       );
 
-      const token = this.generateToken(user);
+      const familyId = crypto.randomUUID();
+      const token = this.generateToken(user, familyId);
+      const refreshToken = await this.issueRefreshToken(user._id, familyId);
 
       return {
         success: true,
         token,
+        refreshToken,
         user: {
           id: user._id,
           username: user.username,
           email: user.email,
+          role: getRole(user),
           lastLogin: user.lastLogin
         }
       };
@@ -93,15 +207,193 @@ class AuthService {
     }
   }
 
-  generateToken(user) {
+  getLoginAttemptKeys(username, ip) {
+    const keys = [{ key: `user:${username}`, maxFailures: parseInt(process.env.LOGIN_MAX_FAILURES) || 5 }];
+    if (ip) {
+      keys.push({ key: `ip:${ip}`, maxFailures: parseInt(process.env.LOGIN_MAX_FAILURES_PER_IP) || 20 });
+    }
+    return keys;
+  }
+
+  /**
+   * Current brute-force state for a username and IP
+   * @param {string} username - Username being logged into
+   * @param {string} ip - Client IP address (optional)
+   * @returns {Promise<Object>} { blocked, locked, blockedUntil, retryAfter (seconds), failures }
+   */
+  async getLockoutState(username, ip = null) {
+    const keys = this.getLoginAttemptKeys(username, ip).map(entry => entry.key);
+    const records = await this.loginAttempts.find({ key: { $in: keys } }).toArray();
+    const now = Date.now();
+
+    const state = {
+      blocked: false,
+      locked: false,
+      blockedUntil: null,
+      retryAfter: 0,
+      failures: records.reduce((max, record) => Math.max(max, record.failures || 0), 0)
+    };
+
+    records.forEach((record) => {
+      if (record.blockedUntil && record.blockedUntil.getTime() > now) {
+        state.blocked = true;
+        state.locked = state.locked || record.locked === true;
+        if (!state.blockedUntil || record.blockedUntil > state.blockedUntil) {
+          state.blockedUntil = record.blockedUntil;
+        }
+      }
+    });
+
+    if (state.blockedUntil) {
+      state.retryAfter = Math.ceil((state.blockedUntil.getTime() - now) / 1000);
+    }
+
+    return state;
+  }
+
+  /**
+   * Count a login attempt against the username and IP before the password is checked, as if it will fail.
+   * The count is incremented atomically and the attempt refused once it is over the limit, so concurrent
+   * guesses cannot all pass the lockout check: at most LOGIN_MAX_FAILURES of them reach the password check.
+   * Each counted attempt after the first delays the next one exponentially; reaching the failure limit locks
+   * the key for LOGIN_LOCKOUT_MINUTES. A successful login clears the username's counter (resetLoginAttempts).
+   * @param {string} username - Username being logged into
+   * @param {string} ip - Client IP address (optional)
+   * @returns {Promise<Object>} Lockout state as from getLockoutState; blocked means the attempt is refused
+   */
+  async beginLoginAttempt(username, ip = null) {
+    const backoffBaseMs = parseInt(process.env.LOGIN_BACKOFF_BASE_MS) || 1000;
+    const lockoutMs = (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+    const now = new Date();
+    let overLimit = false;
+
+    for (const { key, maxFailures } of this.getLoginAttemptKeys(username, ip)) {
+      const record = await this.incrementLoginAttempt(key, now);
+      if (!record) {
+        return this.getLockoutState(username, ip);
+      }
+
+      const failures = record.failures;
+      const locked = failures >= maxFailures;
+      const delayMs = locked ? lockoutMs : failures > 1 ? backoffBaseMs * Math.pow(2, failures - 2) : 0;
+
+      await this.loginAttempts.updateOne(
+        { key },
+        {
+          $set: {
+            locked,
+            blockedUntil: delayMs > 0 ? new Date(now.getTime() + Math.min(delayMs, lockoutMs)) : null,
+            expiresAt: new Date(now.getTime() + lockoutMs + 24 * 60 * 60 * 1000)
+          }
+        }
+      );
+
+      if (failures === maxFailures) {
+        console.warn(`Login locked for ${key} after ${failures} attempts`);
+      }
+      overLimit = overLimit || failures > maxFailures;
+    }
+
+    return overLimit ? this.getLockoutState(username, ip) : { blocked: false };
+  }
+
+  /**
+   * Atomically count an attempt on a login_attempts key unless the key is currently blocked
+   * @returns {Promise<Object|null>} Updated record, or null if the key is blocked
+   */
+  async incrementLoginAttempt(key, now) {
+    const filter = { key, $or: [{ blockedUntil: null }, { blockedUntil: { $lte: now } }] };
+    const update = {
+      $inc: { failures: 1 },
+      $set: { lastFailureAt: now },
+      $setOnInsert: { firstFailureAt: now }
+    };
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        return await this.loginAttempts.findOneAndUpdate(filter, update, { upsert: true, returnDocument: 'after' });
+      } catch (error) {
+        if (error.code !== 11000) {
+          throw error;
+        }
+
+        // The upsert collided with an existing key: either it is blocked, or a concurrent first attempt created it
+        const existing = await this.loginAttempts.findOne({ key });
+        if (existing && existing.blockedUntil && existing.blockedUntil > now) {
+          return null;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Take back the attempt beginLoginAttempt counted against an IP once the password turned out to be correct,
+   * so the IP counter only counts failures. Earlier failures stay counted until the key expires.
+   * @param {string} ip - Client IP address (optional)
+   */
+  async releaseIpLoginAttempt(ip) {
+    if (!ip) {
+      return;
+    }
+
+    await this.loginAttempts.updateOne(
+      { key: `ip:${ip}`, failures: { $gt: 0 } },
+      { $inc: { failures: -1 } }
+    );
+  }
+
+  async resetLoginAttempts(username, ip = null) {
+    const keys = this.getLoginAttemptKeys(username, ip).map(entry => entry.key);
+    await this.loginAttempts.deleteMany({ key: { $in: keys } });
+  }
+
+  /**
+   * Clear the lockout of an account, and optionally of an IP address
+   * @param {string} userId - User ID
+   * @param {string} ip - IP address to unlock as well (optional)
+   */
+  async unlockAccount(userId, ip = null) {
+    try {
+      const user = await this.getUserById(userId);
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      await this.resetLoginAttempts(user.username, ip);
+
+      console.log(`Login lockout cleared for ${user.username}${ip ? ` and ${ip}` : ''}`);
+      return {
+        success: true,
+        message: 'Account unlocked successfully'
+      };
+    } catch (error) {
+      console.error('Error unlocking account:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Issue a short-lived access token
+   * @param {Object} user - User document
+   * @param {string} familyId - Refresh token family the access token belongs to; revoking the family revokes the token
+   * @returns {string} Signed JWT
+   */
+  generateToken(user, familyId = null) {
     const payload = {
       userId: user._id,
       username: user.username,
+      role: getRole(user),
       iat: Math.floor(Date.now() / 1000)
     };
 
+    if (familyId) {
+      payload.fid = familyId;
+    }
+
     return jwt.sign(payload, process.env.JWT_SECRET, {
-      expiresIn: process.env.JWT_EXPIRES_IN || '24h'
+      expiresIn: process.env.JWT_EXPIRES_IN || '15m'
     });
   }
 
@@ -114,6 +406,435 @@ class AuthService {
     }
   }
 
+  /**
+   * Verify an access token and reject it if its refresh token family has been revoked
+   * @param {string} token - Access token
+   * @returns {Promise<Object>} Decoded token payload
+   */
+  async verifyAccessToken(token) {
+    const decoded = this.verifyToken(token);
+
+    if (await this.isTokenRevoked(decoded)) {
+      throw new Error('Token has been revoked');
+    }
+
+    return decoded;
+  }
+
+  async isTokenRevoked(decoded) {
+    if (!decoded.fid || !this.refreshTokens) {
+      return false;
+    }
+
+    const revoked = await this.refreshTokens.findOne(
+      { familyId: decoded.fid, revokedAt: { $ne: null } },
+      { projection: { _id: 1 } }
+    );
+
+    return !!revoked;
+  }
+
+  /**
+   * Re-check tokens that were valid when long-lived connections were opened, with one query for revoked
+   * families and one for active users however many tokens are checked
+   * @param {Array<Object>} decodedTokens - Decoded access tokens
+   * @returns {Promise<Array<string>>} 'active', 'revoked' or 'inactive' (user deactivated or deleted) for each token, in order
+   */
+  async getTokenStatuses(decodedTokens) {
+    if (decodedTokens.length === 0) {
+      return [];
+    }
+
+    const familyIds = [...new Set(decodedTokens.map(decoded => decoded.fid).filter(Boolean))];
+    const userIds = [...new Set(decodedTokens.map(decoded => String(decoded.userId)))];
+
+    const [revokedFamilies, activeUsers] = await Promise.all([
+      familyIds.length > 0
+        ? this.refreshTokens.distinct('familyId', { familyId: { $in: familyIds }, revokedAt: { $ne: null } })
+        : [],
+      this.users.find(
+        { _id: { $in: userIds.map(userId => new ObjectId(userId)) }, isActive: true },
+        { projection: { _id: 1 } }
+      ).toArray()
+    ]);
+
+    const revoked = new Set(revokedFamilies);
+    const active = new Set(activeUsers.map(user => String(user._id)));
+
+    return decodedTokens.map((decoded) => {
+      if (decoded.fid && revoked.has(decoded.fid)) {
+        return 'revoked';
+      }
+      return active.has(String(decoded.userId)) ? 'active' : 'inactive';
+    });
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Create a refresh token and store its hash
+   * @param {ObjectId|string} userId - User ID
+   * @param {string} familyId - Token family shared by every rotation of one login
+   * @returns {Promise<string>} Plain refresh token (only returned to the client, never stored)
+   */
+  async issueRefreshToken(userId, familyId) {
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+    const ttlDays = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 7;
+    const now = new Date();
+
+    await this.refreshTokens.insertOne({
+      tokenHash: this.hashToken(refreshToken),
+      familyId,
+      userId: typeof userId === 'string' ? new ObjectId(userId) : userId,
+      createdAt: now,
+      expiresAt: new Date(now.getTime() + ttlDays * 24 * 60 * 60 * 1000),
+      usedAt: null,
+      revokedAt: null
+    });
+
+    return refreshToken;
+  }
+
+  /**
+   * Exchange a refresh token for a new access token and a rotated refresh token.
+   * Presenting a refresh token that was already rotated revokes its whole family.
+   * @param {string} refreshToken - Refresh token from a previous login or refresh
+   * @returns {Promise<Object>} { success, token, refreshToken }
+   */
+  async refreshSession(refreshToken) {
+    try {
+      if (!refreshToken) {
+        throw new Error('Refresh token is required');
+      }
+
+      const stored = await this.refreshTokens.findOne({ tokenHash: this.hashToken(refreshToken) });
+
+      if (!stored || stored.expiresAt < new Date()) {
+        throw new Error('Invalid or expired refresh token');
+      }
+
+      if (stored.revokedAt) {
+        throw new Error('Refresh token has been revoked');
+      }
+
+      const claimed = await this.refreshTokens.findOneAndUpdate(
+        { _id: stored._id, usedAt: null, revokedAt: null },
+        { $set: { usedAt: new Date() } }
+      );
+
+      if (!claimed) {
+        console.warn(`Refresh token reuse detected for user ${stored.userId}, revoking family ${stored.familyId}`);
+        await this.revokeTokenFamily(stored.familyId, 'reuse-detected');
+        throw new Error('Refresh token has been revoked');
+      }
+
+      const user = await this.users.findOne({ _id: stored.userId, isActive: true });
+      if (!user) {
+        await this.revokeTokenFamily(stored.familyId, 'user-inactive');
+        throw new Error('User not found or inactive');
+      }
+
+      const token = this.generateToken(user, stored.familyId);
+      const newRefreshToken = await this.issueRefreshToken(user._id, stored.familyId);
+
+      return {
+        success: true,
+        token,
+        refreshToken: newRefreshToken
+      };
+    } catch (error) {
+      console.error('Token refresh error:', error.message);
+      throw error;
+    }
+  }
+
+  async revokeTokenFamily(familyId, reason = 'logout') {
+    const result = await this.refreshTokens.updateMany(
+      { familyId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+
+    console.log(`Revoked token family ${familyId} (${reason})`);
+    return result.modifiedCount;
+  }
+
+  async revokeUserTokens(userId, reason = 'logout-all') {
+    const result = await this.refreshTokens.updateMany(
+      { userId: typeof userId === 'string' ? new ObjectId(userId) : userId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+
+    console.log(`Revoked all tokens for user ${userId} (${reason})`);
+    return result.modifiedCount;
+  }
+
+  /**
+   * Revoke the session behind a refresh token and/or a decoded access token
+   * @param {Object} options - { refreshToken, accessToken (decoded), allSessions }
+   * @returns {Promise<Object>} Logout result
+   */
+  async logout({ refreshToken = null, accessToken = null, allSessions = false } = {}) {
+    try {
+      let userId = accessToken?.userId || null;
+      const familyIds = new Set();
+
+      if (accessToken?.fid) {
+        familyIds.add(accessToken.fid);
+      }
+
+      if (refreshToken) {
+        const stored = await this.refreshTokens.findOne({ tokenHash: this.hashToken(refreshToken) });
+        if (stored) {
+          familyIds.add(stored.familyId);
+          userId = userId || stored.userId;
+        }
+      }
+
+      if (allSessions && userId) {
+        await this.revokeUserTokens(userId);
+      } else {
+        for (const familyId of familyIds) {
+          await this.revokeTokenFamily(familyId);
+        }
+      }
+
+      return {
+        success: true,
+        message: 'Logged out successfully'
+      };
+    } catch (error) {
+      console.error('Logout error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a single-use token for an email link; any earlier unused token for the same purpose is invalidated
+   * @param {ObjectId} userId - User ID
+   * @param {string} purpose - One of TOKEN_PURPOSES
+   * @param {number} ttlMs - Lifetime in milliseconds
+   * @returns {Promise<string>} Plain token (only sent by email, never stored)
+   */
+  async issueAuthToken(userId, purpose, ttlMs) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = new Date();
+
+    await this.authTokens.updateMany(
+      { userId, purpose, usedAt: null },
+      { $set: { usedAt: now, invalidatedAt: now } }
+    );
+
+    await this.authTokens.insertOne({
+      tokenHash: this.hashToken(token),
+      userId,
+      purpose,
+      createdAt: now,
+      expiresAt: new Date(now.getTime() + ttlMs),
+      usedAt: null
+    });
+
+    return token;
+  }
+
+  /**
+   * Mark a single-use token as used
+   * @param {string} token - Plain token from the email link
+   * @param {string} purpose - One of TOKEN_PURPOSES
+   * @returns {Promise<Object>} Token record
+   */
+  async consumeAuthToken(token, purpose) {
+    if (!token) {
+      throw new Error('Token is required');
+    }
+
+    const record = await this.authTokens.findOneAndUpdate(
+      {
+        tokenHash: this.hashToken(token),
+        purpose,
+        usedAt: null,
+        expiresAt: { $gt: new Date() }
+      },
+      { $set: { usedAt: new Date() } }
+    );
+
+    if (!record) {
+      throw new Error('Invalid or expired token');
+    }
+
+    return record;
+  }
+
+  buildAppLink(pathname, token) {
+    const appUrl = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+    return `${appUrl}${pathname}?token=${token}`;
+  }
+
+  async sendVerificationEmail(user) {
+    const ttlHours = parseInt(process.env.EMAIL_VERIFICATION_TOKEN_TTL_HOURS) || 24;
+    const token = await this.issueAuthToken(user._id, TOKEN_PURPOSES.EMAIL_VERIFICATION, ttlHours * 60 * 60 * 1000);
+
+    await this.mailer.send({
+      to: user.email,
+      subject: 'Verify your email address',
+      text: `Hello ${user.username},\n\nPlease verify your email address by opening this link:\n${this.buildAppLink('/verify-email', token)}\n\nThe link expires in ${ttlHours} hours.`
+    });
+  }
+
+  async requestEmailVerification(userId) {
+    try {
+      const user = await this.getUserById(userId);
+
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      if (!user.email) {
+        throw new Error('No email address on file');
+      }
+
+      if (user.emailVerified !== false) {
+        throw new Error('Email address already verified');
+      }
+
+      await this.sendVerificationEmail(user);
+
+      return {
+        success: true,
+        message: 'Verification email sent'
+      };
+    } catch (error) {
+      console.error('Error requesting email verification:', error);
+      throw error;
+    }
+  }
+
+  async verifyEmail(token) {
+    try {
+      const record = await this.consumeAuthToken(token, TOKEN_PURPOSES.EMAIL_VERIFICATION);
+
+      await this.users.updateOne(
+        { _id: record.userId },
+        { $set: { emailVerified: true, emailVerifiedAt: new Date() } }
+      );
+
+      console.log(`Email verified for user ${record.userId}`);
+      return {
+        success: true,
+        message: 'Email address verified successfully'
+      };
+    } catch (error) {
+      console.error('Email verification error:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Email a password reset link. Resolves the same way whether or not the account exists.
+   * @param {string} identifier - Email address or username
+   */
+  async requestPasswordReset(identifier) {
+    try {
+      if (typeof identifier !== 'string' || identifier.trim().length === 0) {
+        throw new Error('Email or username is required');
+      }
+
+      const user = await this.users.findOne({
+        $or: [{ email: identifier }, { username: identifier }],
+        isActive: true
+      });
+
+      if (user && user.email) {
+        const ttlMinutes = parseInt(process.env.PASSWORD_RESET_TOKEN_TTL_MINUTES) || 60;
+        const token = await this.issueAuthToken(user._id, TOKEN_PURPOSES.PASSWORD_RESET, ttlMinutes * 60 * 1000);
+
+        await this.mailer.send({
+          to: user.email,
+          subject: 'Reset your password',
+          text: `Hello ${user.username},\n\nA password reset was requested for your account. Open this link to choose a new password:\n${this.buildAppLink('/reset-password', token)}\n\nThe link expires in ${ttlMinutes} minutes. If you did not request this, you can ignore this email.`
+        });
+      } else {
+        console.log('Password reset requested for unknown or email-less account');
+      }
+
+      return {
+        success: true,
+        message: 'If an account with that email or username exists, a password reset link has been sent'
+      };
+    } catch (error) {
+      console.error('Error requesting password reset:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Set a new password from a reset token and sign out every existing session
+   * @param {string} token - Plain token from the reset email
+   * @param {string} newPassword - New password
+   */
+  async resetPassword(token, newPassword) {
+    try {
+      const record = await this.consumeAuthToken(token, TOKEN_PURPOSES.PASSWORD_RESET);
+
+      const saltRounds = 12;
+      const hashedPassword = await bcrypt.hash(newPassword, saltRounds);
+
+      await this.users.updateOne(
+        { _id: record.userId },
+        { $set: { password: hashedPassword, passwordChangedAt: new Date() } }
+      );
+
+      await this.revokeUserTokens(record.userId, 'password-reset');
+
+      const user = await this.users.findOne({ _id: record.userId }, { projection: { username: 1 } });
+      if (user) {
+        await this.resetLoginAttempts(user.username);
+      }
+
+      console.log(`Password reset for user ${record.userId}`);
+      return {
+        success: true,
+        message: 'Password reset successfully'
+      };
+    } catch (error) {
+      console.error('Password reset error:', error.message);
+      throw error;
+    }
+  }
+
+  async updateUserRole(userId, role) {
+    try {
+      if (!ROLES.includes(role)) {
+        throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+      }
+
+      const previous = await this.users.findOneAndUpdate(
+        { _id: typeof userId === 'string' ? new ObjectId(userId) : userId },
+        { $set: { role } },
+        { projection: { role: 1 } }
+      );
+
+      if (!previous) {
+        throw new Error('User not found');
+      }
+
+      // The role is carried in the JWT, so sessions holding the old role are ended and the user signs in again
+      if (previous.role !== role) {
+        await this.revokeUserTokens(previous._id, 'role-changed');
+      }
+
+      console.log(`Role updated for user ${userId}: ${role}`);
+      return {
+        success: true,
+        message: 'User role updated successfully'
+      };
+    } catch (error) {
+      console.error('Error updating user role:', error);
+      throw error;
+    }
+  }
+
   async getUserById(userId) {
     try {
       console.log('Looking for user with ID:', userId);
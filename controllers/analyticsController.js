@@ -1,3 +1,38 @@
+const AnalyticsService = require('../services/analyticsService');
+const { BUCKET_INTERVALS, isValidTimezone } = require('../utils/timeBuckets');
+
+const DEFAULT_TIME_SERIES_DAYS = 7;
+
+/**
+ * Read and check the from/to/interval/timezone query parameters shared by the time series endpoints
+ * @returns {Object} { from, to, interval, timezone } or { error }
+ */
+const parseRangeQuery = (query) => {
+  const { interval = 'day', timezone = 'UTC' } = query;
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from
+    ? new Date(query.from)
+    : new Date(to.getTime() - DEFAULT_TIME_SERIES_DAYS * 24 * 60 * 60 * 1000);
+
+  if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+    return { error: 'from and to must be valid dates' };
+  }
+
+  if (from >= to) {
+    return { error: 'from must be before to' };
+  }
+
+  if (!BUCKET_INTERVALS.includes(interval)) {
+    return { error: `interval must be one of: ${BUCKET_INTERVALS.join(', ')}` };
+  }
+
+  if (!isValidTimezone(timezone)) {
+    return { error: 'timezone must be a valid IANA timezone name' };
+  }
+
+  return { from, to, interval, timezone };
+};
+
 class AnalyticsController {
   constructor(analyticsService) {
     this.analyticsService = analyticsService;
@@ -6,11 +41,11 @@ class AnalyticsController {
   /**
    * Update feedback for a message (thumbs up/down)
    * POST /api/analytics/feedback
-   * Body: { messageId: string, feedbackType: 'positive' | 'negative' }
+   * Body: { messageId: string, feedbackType: 'positive' | 'negative', rating?: 1-5, reasons?: string[], comment?: string }
    */
   updateFeedback = async (req, res) => {
     try {
-      const { messageId, feedbackType } = req.body;
+      const { messageId, feedbackType, rating, reasons, comment } = req.body;
 
       if (!messageId) {
         return res.status(400).json({
@@ -26,7 +61,15 @@ class AnalyticsController {
         });
       }
 
-      const result = await this.analyticsService.updateFeedback(messageId, feedbackType);
+      const validation = AnalyticsService.validateFeedbackDetails({ rating, reasons, comment });
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: validation.error
+        });
+      }
+
+      const result = await this.analyticsService.updateFeedback(messageId, feedbackType, req.user.userId, validation.details);
 
       res.status(200).json(result);
 
@@ -93,6 +136,96 @@ class AnalyticsController {
       });
     }
   };
+
+  /**
+   * Activity bucketed over a date range, compared with the previous period
+   * GET /api/analytics/timeseries?from=&to=&interval=day&timezone=UTC&userId=&compare=true
+   */
+  getTimeSeries = async (req, res) => {
+    try {
+      const range = parseRangeQuery(req.query);
+      if (range.error) {
+        return res.status(400).json({
+          success: false,
+          error: range.error
+        });
+      }
+
+      const { from, to, interval, timezone } = range;
+      const { userId = null, compare } = req.query;
+
+      const result = await this.analyticsService.getTimeSeries({
+        from,
+        to,
+        interval,
+        timezone,
+        userId,
+        compare: compare !== 'false'
+      });
+
+      res.status(200).json(result);
+
+    } catch (error) {
+      console.error('Error in getTimeSeries controller:', error);
+
+      if (error.message.includes('too large')) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve analytics time series'
+      });
+    }
+  };
+
+  /**
+   * AI backend latency percentiles and error rates over time
+   * GET /api/analytics/upstream?from=&to=&interval=day&timezone=UTC&backend=
+   */
+  getUpstreamStats = async (req, res) => {
+    try {
+      const range = parseRangeQuery(req.query);
+      if (range.error) {
+        return res.status(400).json({
+          success: false,
+          error: range.error
+        });
+      }
+
+      const result = await this.analyticsService.getUpstreamStats({
+        ...range,
+        backend: req.query.backend || null
+      });
+
+      res.status(200).json(result);
+
+    } catch (error) {
+      console.error('Error in getUpstreamStats controller:', error);
+
+      if (error.message.includes('too large')) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      if (error.message.includes('MongoDB 7.0')) {
+        return res.status(501).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve upstream statistics'
+      });
+    }
+  };
 }
 
 module.exports = AnalyticsController;
@@ -1,3 +1,5 @@
+const { getRole } = require('../utils/permissions');
+
 class AuthController {
   constructor(authService, feedbackService = null) {
     this.authService = authService;
@@ -8,18 +10,32 @@ class AuthController {
     try {
       const { username, password } = req.body;
 
-      if (!username || !password) {
+      // Anything but plain strings could be a query operator such as { "$ne": null }
+      if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
         return res.status(400).json({
           success: false,
           message: 'Username and password are required'
         });
       }
 
-      const result = await this.authService.authenticateUser(username, password);
+      const result = await this.authService.authenticateUser(username, password, req.ip);
       
       res.json(result);
     } catch (error) {
       console.error('Login error:', error);
+
+      if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+        return res.status(429).json({
+          success: false,
+          message: error.message,
+          code: error.code,
+          locked: error.code === 'ACCOUNT_LOCKED',
+          retryAfter: error.retryAfter,
+          lockedUntil: error.lockedUntil
+        });
+      }
+
       res.status(401).json({
         success: false,
         message: error.message || 'Authentication failed'
@@ -71,7 +87,7 @@ class AuthController {
         });
       }
 
-      const decoded = this.authService.verifyToken(token);
+      const decoded = await this.authService.verifyAccessToken(token);
       console.log('Decoded token:', decoded);
       const user = await this.authService.getUserById(decoded.userId);
       
@@ -85,7 +101,8 @@ class AuthController {
       const userResponse = {
         id: user._id,
         username: user.username,
-        email: user.email
+        email: user.email,
+        role: getRole(user)
       };
 
       if (this.feedbackService) {
@@ -96,6 +113,7 @@ class AuthController {
           console.error('Error fetching user analytics:', analyticsError);
           userResponse.analytics = {
             totalQuestions: 0,
+            feedbackCount: 0,
             positiveCount: 0,
             negativeCount: 0,
             positivePercentage: 0,
@@ -118,6 +136,155 @@ class AuthController {
     }
   };
 
+  refresh = async (req, res) => {
+    try {
+      const { refreshToken } = req.body;
+
+      if (!refreshToken) {
+        return res.status(400).json({
+          success: false,
+          message: 'Refresh token is required'
+        });
+      }
+
+      const result = await this.authService.refreshSession(refreshToken);
+
+      res.json(result);
+    } catch (error) {
+      res.status(401).json({
+        success: false,
+        message: error.message || 'Token refresh failed'
+      });
+    }
+  };
+
+  logout = async (req, res) => {
+    try {
+      const { refreshToken, allSessions } = req.body;
+      const token = req.headers.authorization?.replace('Bearer ', '');
+
+      let accessToken = null;
+      if (token) {
+        try {
+          accessToken = this.authService.verifyToken(token);
+        } catch (tokenError) {
+          accessToken = null;
+        }
+      }
+
+      if (!refreshToken && !accessToken) {
+        return res.status(400).json({
+          success: false,
+          message: 'A refresh token or valid access token is required'
+        });
+      }
+
+      const result = await this.authService.logout({
+        refreshToken,
+        accessToken,
+        allSessions: allSessions === true
+      });
+
+      res.json(result);
+    } catch (error) {
+      console.error('Logout error:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Logout failed'
+      });
+    }
+  };
+
+  requestEmailVerification = async (req, res) => {
+    try {
+      const result = await this.authService.requestEmailVerification(req.user.userId);
+
+      res.json(result);
+    } catch (error) {
+      console.error('Request email verification error:', error);
+      res.status(400).json({
+        success: false,
+        message: error.message || 'Failed to send verification email'
+      });
+    }
+  };
+
+  verifyEmail = async (req, res) => {
+    try {
+      const { token } = req.body;
+
+      if (!token) {
+        return res.status(400).json({
+          success: false,
+          message: 'Token is required'
+        });
+      }
+
+      const result = await this.authService.verifyEmail(token);
+
+      res.json(result);
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: error.message || 'Email verification failed'
+      });
+    }
+  };
+
+  requestPasswordReset = async (req, res) => {
+    try {
+      const { email, username } = req.body;
+      const identifier = email || username;
+
+      // Anything but a plain string could be a query operator such as { "$ne": null }
+      if (typeof identifier !== 'string' || identifier.trim().length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Email or username is required'
+        });
+      }
+
+      const result = await this.authService.requestPasswordReset(identifier);
+
+      res.json(result);
+    } catch (error) {
+      console.error('Request password reset error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to process password reset request'
+      });
+    }
+  };
+
+  resetPassword = async (req, res) => {
+    try {
+      const { token, newPassword } = req.body;
+
+      if (!token || !newPassword) {
+        return res.status(400).json({
+          success: false,
+          message: 'Token and newPassword are required'
+        });
+      }
+
+      if (newPassword.length < 6) {
+        return res.status(400).json({
+          success: false,
+          message: 'Password must be at least 6 characters long'
+        });
+      }
+
+      const result = await this.authService.resetPassword(token, newPassword);
+
+      res.json(result);
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: error.message || 'Password reset failed'
+      });
+    }
+  };
+
   getUserProfile = async (req, res) => {
     try {
       const user = req.user;
@@ -136,6 +303,8 @@ class AuthController {
           id: userDetails._id,
           username: userDetails.username,
           email: userDetails.email,
+          role: getRole(userDetails),
+          emailVerified: userDetails.emailVerified !== false,
           createdAt: userDetails.createdAt,
           lastLogin: userDetails.lastLogin
         }
@@ -149,6 +318,7 @@ class AuthController {
           console.error('Error fetching user analytics for profile:', analyticsError);
           profileResponse.user.analytics = {
             totalQuestions: 0,
+            feedbackCount: 0,
             positiveCount: 0,
             negativeCount: 0,
             positivePercentage: 0,
@@ -168,6 +338,49 @@ class AuthController {
       });
     }
   };
+
+  unlockAccount = async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const { ip } = req.body || {};
+
+      const result = await this.authService.unlockAccount(userId, ip);
+
+      res.json(result);
+    } catch (error) {
+      console.error('Unlock account error:', error);
+      const statusCode = error.message.includes('not found') ? 404 : 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to unlock account'
+      });
+    }
+  };
+
+  updateUserRole = async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const { role } = req.body;
+
+      if (!role) {
+        return res.status(400).json({
+          success: false,
+          message: 'Role is required'
+        });
+      }
+
+      const result = await this.authService.updateUserRole(userId, role);
+
+      res.json(result);
+    } catch (error) {
+      console.error('Update user role error:', error);
+      const statusCode = error.message.includes('not found') ? 404 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to update user role'
+      });
+    }
+  };
 }
 
 module.exports = AuthController;
\ No newline at end of file
@@ -0,0 +1,72 @@
+const { parsePagination } = require('../utils/pagination');
+
+class ConversationController {
+  constructor(conversationService) {
+    this.conversationService = conversationService;
+  }
+
+  getUserConversations = async (req, res) => {
+    try {
+      const user = req.user;
+      const { page, limit } = parsePagination(req.query.page, req.query.limit, { defaultLimit: 20, maxLimit: 100 });
+
+      const result = await this.conversationService.getUserConversations(user.userId, page, limit);
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error('Error fetching conversations:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch conversations',
+        error: error.message
+      });
+    }
+  };
+
+  getConversation = async (req, res) => {
+    try {
+      const user = req.user;
+      const { conversationId } = req.params;
+      const { page, limit } = parsePagination(req.query.page, req.query.limit, { defaultLimit: 50, maxLimit: 200 });
+
+      const result = await this.conversationService.getConversation(conversationId, user.userId, page, limit);
+
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          message: 'Conversation not found'
+        });
+      }
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error('Error fetching conversation:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch conversation',
+        error: error.message
+      });
+    }
+  };
+
+  deleteConversation = async (req, res) => {
+    try {
+      const user = req.user;
+      const { conversationId } = req.params;
+
+      const result = await this.conversationService.deleteConversation(conversationId, user.userId);
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error('Error deleting conversation:', error);
+      const statusCode = error.message.includes('not found') ? 404 : 500;
+      return res.status(statusCode).json({
+        success: false,
+        message: 'Failed to delete conversation',
+        error: error.message
+      });
+    }
+  };
+}
+
+module.exports = ConversationController;
@@ -1,3 +1,6 @@
+const { ObjectId } = require('mongodb');
+const { hasPermission } = require('../utils/permissions');
+
 class EscalationController {
   constructor(escalationService) {
     this.escalationService = escalationService;
@@ -78,6 +81,9 @@ class EscalationController {
       if (req.query.userId) {
         filters.userId = req.query.userId;
       }
+      if (req.query.assignedTo) {
+        filters.assignedTo = req.query.assignedTo === 'me' ? req.user.userId : req.query.assignedTo;
+      }
       if (req.query.startDate) {
         filters.startDate = req.query.startDate;
       }
@@ -85,6 +91,20 @@ class EscalationController {
         filters.endDate = req.query.endDate;
       }
 
+      if (filters.userId && !ObjectId.isValid(filters.userId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'userId must be a valid user ID'
+        });
+      }
+
+      if (filters.assignedTo && filters.assignedTo !== 'unassigned' && !ObjectId.isValid(filters.assignedTo)) {
+        return res.status(400).json({
+          success: false,
+          message: "assignedTo must be a user ID, 'me' or 'unassigned'"
+        });
+      }
+
       const result = await this.escalationService.getAllEscalations(page, limit, filters);
 
       return res.status(200).json(result);
@@ -120,8 +140,7 @@ class EscalationController {
   updateEscalationStatus = async (req, res) => {
     try {
       const { escalationId } = req.params;
-      const { status } = req.body;
-      const user = req.user; 
+      const { status, comment } = req.body;
 
       if (!status) {
         return res.status(400).json({
@@ -141,13 +160,15 @@ class EscalationController {
       const result = await this.escalationService.updateEscalationStatus(
         escalationId,
         status,
-        user.userId
+        null,
+        { actorId: req.user.userId, comment: comment || null }
       );
 
       return res.status(200).json(result);
     } catch (error) {
       console.error('Error updating escalation status:', error);
-      return res.status(500).json({
+      const statusCode = error.message.includes('not found') ? 404 : 500;
+      return res.status(statusCode).json({
         success: false,
         message: 'Failed to update escalation status',
         error: error.message
@@ -155,6 +176,63 @@ class EscalationController {
     }
   };
 
+  assignEscalation = async (req, res) => {
+    try {
+      const { escalationId } = req.params;
+      const { assigneeId, comment } = req.body;
+
+      if (assigneeId === undefined) {
+        return res.status(400).json({
+          success: false,
+          message: 'assigneeId is required (null to unassign)'
+        });
+      }
+
+      const result = await this.escalationService.assignEscalation(
+        escalationId,
+        assigneeId === 'me' ? req.user.userId : assigneeId,
+        req.user.userId,
+        comment || null
+      );
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error('Error assigning escalation:', error);
+      const statusCode = error.message === 'Escalation not found' ? 404 : 400;
+      return res.status(statusCode).json({
+        success: false,
+        message: 'Failed to assign escalation',
+        error: error.message
+      });
+    }
+  };
+
+  addNote = async (req, res) => {
+    try {
+      const { escalationId } = req.params;
+      const { text } = req.body;
+
+      if (!text || typeof text !== 'string' || text.trim().length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Note text is required'
+        });
+      }
+
+      const result = await this.escalationService.addNote(escalationId, req.user.userId, text);
+
+      return res.status(201).json(result);
+    } catch (error) {
+      console.error('Error adding escalation note:', error);
+      const statusCode = error.message === 'Escalation not found' ? 404 : 500;
+      return res.status(statusCode).json({
+        success: false,
+        message: 'Failed to add note',
+        error: error.message
+      });
+    }
+  };
+
   deleteEscalation = async (req, res) => {
     try {
       const { escalationId } = req.params;
@@ -162,7 +240,7 @@ class EscalationController {
 
       const result = await this.escalationService.deleteEscalation(
         escalationId,
-        user.userId
+        hasPermission(user, 'escalations:manage') ? null : user.userId
       );
 
       return res.status(200).json(result);
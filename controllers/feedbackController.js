@@ -1,3 +1,5 @@
+const AnalyticsService = require('../services/analyticsService');
+
 class FeedbackController {
   constructor(feedbackService) {
     this.feedbackService = feedbackService;
@@ -6,12 +8,12 @@ class FeedbackController {
   submitFeedback = async (req, res) => {
     try {
       const user = req.user; 
-      const { userQuestion, feedbackType, messageId } = req.body;
+      const { userQuestion, feedbackType, messageId, rating, reasons, comment } = req.body;
 
-      if (!userQuestion || !feedbackType) {
+      if ((!userQuestion && !messageId) || !feedbackType) {
         return res.status(400).json({
           success: false,
-          message: 'userQuestion and feedbackType are required'
+          message: 'feedbackType and either messageId or userQuestion are required'
         });
       }
 
@@ -22,36 +24,55 @@ class FeedbackController {
         });
       }
 
-      if (userQuestion.trim().length === 0) {
+      if (!messageId && userQuestion.trim().length === 0) {
         return res.status(400).json({
           success: false,
           message: 'userQuestion cannot be empty'
         });
       }
 
-      if (userQuestion.length > 2000) {
+      if (userQuestion && userQuestion.length > 2000) {
         return res.status(400).json({
           success: false,
           message: 'userQuestion cannot exceed 2000 characters'
         });
       }
 
+      const validation = AnalyticsService.validateFeedbackDetails({ rating, reasons, comment });
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          message: validation.error
+        });
+      }
+
       const result = await this.feedbackService.storeFeedback(
         user.userId,
         userQuestion,
         feedbackType,
-        messageId
+        messageId,
+        user.username,
+        validation.details
       );
 
       res.status(201).json({
         success: true,
         message: 'Feedback submitted successfully',
         feedbackId: result.feedbackId,
+        messageId: result.messageId,
         timestamp: new Date().toISOString()
       });
 
     } catch (error) {
       console.error('Submit feedback error:', error);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: 'No answer found for this messageId'
+        });
+      }
+
       res.status(500).json({
         success: false,
         message: error.message || 'Failed to submit feedback'
@@ -137,7 +158,7 @@ class FeedbackController {
     try {
       const user = req.user;
       const { feedbackId } = req.params;
-      const { feedbackType } = req.body;
+      const { feedbackType, rating, reasons, comment } = req.body;
 
       if (!feedbackId) {
         return res.status(400).json({
@@ -153,19 +174,15 @@ class FeedbackController {
         });
       }
 
-      const existingFeedback = await this.feedbackService.feedback.findOne({
-        _id: feedbackId,
-        userId: user.userId
-      });
-
-      if (!existingFeedback) {
-        return res.status(404).json({
+      const validation = AnalyticsService.validateFeedbackDetails({ rating, reasons, comment });
+      if (!validation.valid) {
+        return res.status(400).json({
           success: false,
-          message: 'Feedback not found or not authorized'
+          message: validation.error
         });
       }
 
-      const result = await this.feedbackService.updateFeedback(feedbackId, feedbackType);
+      const result = await this.feedbackService.updateFeedback(feedbackId, feedbackType, user.userId, validation.details);
 
       res.json({
         success: true,
@@ -175,6 +192,14 @@ class FeedbackController {
 
     } catch (error) {
       console.error('Update feedback error:', error);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: 'Feedback not found or not authorized'
+        });
+      }
+
       res.status(500).json({
         success: false,
         message: error.message || 'Failed to update feedback'
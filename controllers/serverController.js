@@ -1,7 +1,30 @@
+const crypto = require('crypto');
+const { registry } = require('../utils/metrics');
+
+// Both sides are hashed first because timingSafeEqual needs buffers of equal length
+const tokensMatch = (provided, expected) => {
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(provided), digest(expected));
+};
+
 class ServerController {
-  constructor(wsServer, messageHandler) {
-    this.wsServer = wsServer;
-    this.messageHandler = messageHandler;
+  /**
+   * The WebSocket server and message handler are only created once the server starts, after the routes are set up,
+   * so they are passed as getters.
+   * @param {Function} getWsServer - Returns the WebSocket server, or null before start
+   * @param {Function} getMessageHandler - Returns the message handler, or null before start
+   */
+  constructor(getWsServer = () => null, getMessageHandler = () => null) {
+    this.getWsServer = getWsServer;
+    this.getMessageHandler = getMessageHandler;
+  }
+
+  get wsServer() {
+    return this.getWsServer();
+  }
+
+  get messageHandler() {
+    return this.getMessageHandler();
   }
 
   healthCheck = (req, res) => {
@@ -27,10 +50,44 @@ class ServerController {
       connectedClients: this.wsServer ? this.wsServer.getClientCount() : 0,
       uptime: process.uptime(),
       memory: process.memoryUsage(),
+      aiUpstream: this.messageHandler ? this.messageHandler.upstream.getState() : null,
       timestamp: new Date().toISOString()
     });
   };
 
+  /**
+   * Prometheus text exposition of the server metrics. Scrapers must send METRICS_TOKEN as a Bearer token;
+   * without a configured token the endpoint is disabled.
+   */
+  metrics = async (req, res) => {
+    const metricsToken = process.env.METRICS_TOKEN;
+    if (!metricsToken) {
+      return res.status(404).json({
+        success: false,
+        message: 'Metrics are disabled until METRICS_TOKEN is set'
+      });
+    }
+
+    const authHeader = req.headers['authorization'] || '';
+    if (!tokensMatch(authHeader, `Bearer ${metricsToken}`)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Metrics token required'
+      });
+    }
+
+    try {
+      res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+      res.send(await registry.render());
+    } catch (error) {
+      console.error('Error rendering metrics:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to render metrics'
+      });
+    }
+  };
+
   notFound = (req, res) => {
     res.status(404).json({
       success: false,
@@ -0,0 +1,121 @@
+const { parsePagination } = require('../utils/pagination');
+
+class WebhookController {
+  constructor(webhookService) {
+    this.webhookService = webhookService;
+  }
+
+  listWebhooks = async (req, res) => {
+    try {
+      const result = await this.webhookService.listWebhooks();
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error('Error listing webhooks:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to list webhooks',
+        error: error.message
+      });
+    }
+  };
+
+  registerWebhook = async (req, res) => {
+    try {
+      const { url, events, description, secret } = req.body;
+
+      if (!url || !events) {
+        return res.status(400).json({
+          success: false,
+          message: 'url and events are required'
+        });
+      }
+
+      const result = await this.webhookService.registerWebhook({ url, events, description, secret }, req.user.userId);
+
+      return res.status(201).json(result);
+    } catch (error) {
+      console.error('Error registering webhook:', error);
+      return res.status(400).json({
+        success: false,
+        message: 'Failed to register webhook',
+        error: error.message
+      });
+    }
+  };
+
+  updateWebhook = async (req, res) => {
+    try {
+      const { webhookId } = req.params;
+      const { url, events, description, active } = req.body;
+
+      const result = await this.webhookService.updateWebhook(webhookId, { url, events, description, active });
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error('Error updating webhook:', error);
+      const statusCode = error.message.includes('not found') ? 404 : 400;
+      return res.status(statusCode).json({
+        success: false,
+        message: 'Failed to update webhook',
+        error: error.message
+      });
+    }
+  };
+
+  deleteWebhook = async (req, res) => {
+    try {
+      const { webhookId } = req.params;
+
+      const result = await this.webhookService.deleteWebhook(webhookId);
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error('Error deleting webhook:', error);
+      const statusCode = error.message.includes('not found') ? 404 : 500;
+      return res.status(statusCode).json({
+        success: false,
+        message: 'Failed to delete webhook',
+        error: error.message
+      });
+    }
+  };
+
+  getDeliveries = async (req, res) => {
+    try {
+      const { webhookId } = req.params;
+      const { page, limit } = parsePagination(req.query.page, req.query.limit, { defaultLimit: 20, maxLimit: 100 });
+
+      const result = await this.webhookService.getDeliveries(webhookId, page, limit, req.query.status || null);
+
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error('Error fetching webhook deliveries:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch webhook deliveries',
+        error: error.message
+      });
+    }
+  };
+
+  redeliver = async (req, res) => {
+    try {
+      const { deliveryId } = req.params;
+
+      const result = await this.webhookService.redeliver(deliveryId);
+
+      return res.status(202).json(result);
+    } catch (error) {
+      console.error('Error redelivering webhook:', error);
+      const statusCode = error.message.includes('not found') ? 404 : 500;
+      return res.status(statusCode).json({
+        success: false,
+        message: 'Failed to redeliver webhook',
+        error: error.message
+      });
+    }
+  };
+}
+
+module.exports = WebhookController;
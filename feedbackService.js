@@ -1,65 +1,221 @@
 const { ObjectId } = require('mongodb');
-
+const AnalyticsService = require('./services/analyticsService');
+
+const EMPTY_ANALYTICS = {
+  totalQuestions: 0,
+  feedbackCount: 0,
+  positiveCount: 0,
+  negativeCount: 0,
+  positivePercentage: 0,
+  negativePercentage: 0
+};
+
+const HAS_FEEDBACK = { $or: [{ positiveFeedback: true }, { negativeFeedback: true }] };
+const LEGACY_MIGRATION_ID = 'legacy-feedback-to-chat-analytics';
+
+/**
+ * Thumbs up/down on AI answers. Feedback lives on the answer's `chat_analytics` record, which is also where
+ * WebSocket feedback is written; all writes go through AnalyticsService. Documents in the legacy `feedback`
+ * collection are migrated into `chat_analytics` once, in the background after the first startup.
+ */
 class FeedbackService {
-  constructor(authService) {
+  constructor(authService, analyticsService) {
     this.authService = authService;
+    this.analyticsService = analyticsService;
     this.db = null;
     this.feedback = null;
+    this.legacyFeedback = null;
+    this.migrations = null;
   }
 
   async initialize() {
     if (!this.authService.db) {
       throw new Error('MongoDB connection not established. Please ensure AuthService is connected.');
     }
-    
+
     this.db = this.authService.db;
-    this.feedback = this.db.collection('feedback');
-    
+    this.feedback = this.db.collection('chat_analytics');
+    this.legacyFeedback = this.db.collection('feedback');
+    this.migrations = this.db.collection('migrations');
+
     await this.createIndexes();
+
+    // Not awaited: a slow or failing migration must not hold up or abort startup
+    this.migrateLegacyFeedbackOnce().catch((error) => {
+      console.error('Legacy feedback migration failed, it will be retried on the next start:', error);
+    });
+
     console.log('FeedbackService initialized successfully');
   }
 
   async createIndexes() {
     try {
-      await this.feedback.createIndex({ userId: 1 });
+      await this.feedback.createIndex({ userId: 1, feedbackAt: -1 });
 
-      await this.feedback.createIndex({ userId: 1, createdAt: -1 });
-
-      await this.feedback.createIndex({ feedbackType: 1 });
-      
-      console.log('Feedback collection indexes created successfully');
+      console.log('Feedback indexes created successfully');
     } catch (error) {
       console.error('Error creating feedback indexes:', error);
     }
   }
 
-  async storeFeedback(userId, userQuestion, feedbackType, messageId = null) {
+  /**
+   * Run migrateLegacyFeedback unless the `migrations` collection records that it already completed
+   * @returns {number} Number of migrated documents
+   */
+  async migrateLegacyFeedbackOnce() {
+    const completed = await this.migrations.findOne({ _id: LEGACY_MIGRATION_ID });
+    if (completed) {
+      return 0;
+    }
+
+    const migrated = await this.migrateLegacyFeedback();
+    await this.migrations.updateOne(
+      { _id: LEGACY_MIGRATION_ID },
+      { $set: { completedAt: new Date(), migrated: migrated } },
+      { upsert: true }
+    );
+    return migrated;
+  }
+
+  /**
+   * Copy feedback from the legacy `feedback` collection onto `chat_analytics` records. Feedback for a known
+   * messageId is applied to that record unless it already has newer feedback; anything else becomes a record of
+   * its own. Migrated documents are stamped with `migratedAt` and kept, so the migration can safely run again.
+   * @returns {number} Number of migrated documents
+   */
+  async migrateLegacyFeedback() {
+    try {
+      // Records rated before feedbackAt existed
+      await this.feedback.updateMany(
+        { ...HAS_FEEDBACK, feedbackAt: { $exists: false } },
+        [{ $set: { feedbackAt: '$updatedAt' } }]
+      );
+
+      // Records created to hold a rating before they were marked with a source
+      await this.feedback.updateMany(
+        { messageId: /^fb_/, source: { $exists: false } },
+        { $set: { source: 'feedback' } }
+      );
+
+      const legacyDocs = await this.legacyFeedback.find({ migratedAt: { $exists: false } }).toArray();
+      const usernames = new Map();
+      let migrated = 0;
+      let skipped = 0;
+
+      for (const doc of legacyDocs) {
+        const userId = String(doc.userId);
+        const feedbackAt = doc.updatedAt || doc.createdAt || new Date();
+        const feedbackFields = {
+          positiveFeedback: doc.feedbackType === 'positive',
+          negativeFeedback: doc.feedbackType === 'negative',
+          feedbackAt: feedbackAt
+        };
+
+        const existing = doc.messageId ? await this.feedback.findOne({ messageId: doc.messageId }) : null;
+
+        if (existing && existing.userId !== userId) {
+          console.warn(`Skipping legacy feedback ${doc._id}: message ${doc.messageId} belongs to user ${existing.userId}, not ${userId}`);
+          await this.legacyFeedback.updateOne(
+            { _id: doc._id },
+            { $set: { migratedAt: new Date(), migrationSkipped: 'message-owned-by-another-user' } }
+          );
+          skipped++;
+          continue;
+        }
+
+        if (existing) {
+          if (!existing.feedbackAt || existing.feedbackAt < feedbackAt) {
+            await this.feedback.updateOne({ _id: existing._id }, { $set: feedbackFields });
+          }
+        } else {
+          if (!usernames.has(userId)) {
+            const user = await this.authService.getUserById(userId).catch(() => null);
+            usernames.set(userId, user ? user.username : null);
+          }
+
+          await this.feedback.updateOne(
+            { messageId: doc.messageId || `legacy_${doc._id}` },
+            {
+              $setOnInsert: {
+                userId: userId,
+                username: usernames.get(userId),
+                question: doc.userQuestion,
+                aiResponse: null,
+                cancelled: false,
+                ...feedbackFields,
+                source: 'legacy-feedback',
+                createdAt: doc.createdAt || feedbackAt,
+                updatedAt: feedbackAt
+              }
+            },
+            { upsert: true }
+          );
+        }
+
+        await this.legacyFeedback.updateOne({ _id: doc._id }, { $set: { migratedAt: new Date() } });
+        migrated++;
+      }
+
+      if (migrated > 0 || skipped > 0) {
+        console.log(`Migrated ${migrated} legacy feedback documents into chat_analytics, skipped ${skipped}`);
+      }
+
+      return migrated;
+    } catch (error) {
+      console.error('Error migrating legacy feedback:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Shape a chat_analytics record as a feedback entry
+   */
+  toFeedback(record) {
+    return {
+      _id: record._id,
+      messageId: record.messageId,
+      userQuestion: record.question,
+      aiResponse: record.aiResponse,
+      feedbackType: record.positiveFeedback ? 'positive' : (record.negativeFeedback ? 'negative' : null),
+      rating: record.feedbackRating ?? null,
+      reasons: record.feedbackReasons || [],
+      comment: record.feedbackComment ?? null,
+      history: record.feedbackHistory || [],
+      createdAt: record.createdAt,
+      feedbackAt: record.feedbackAt || record.updatedAt
+    };
+  }
+
+  /**
+   * Rate an answer. With a messageId the existing record for that answer is updated; without one (questions
+   * asked outside the chat socket) a new record is created for the question.
+   */
+  async storeFeedback(userId, userQuestion, feedbackType, messageId = null, username = null, details = {}) {
     try {
-      if (!userId || !userQuestion || !feedbackType) {
-        throw new Error('UserId, userQuestion, and feedbackType are required');
+      if (!userId || !feedbackType || (!userQuestion && !messageId)) {
+        throw new Error('UserId, feedbackType and a userQuestion or messageId are required');
       }
 
       if (!['positive', 'negative'].includes(feedbackType)) {
         throw new Error('FeedbackType must be either "positive" or "negative"');
       }
 
-      const userObjectId = typeof userId === 'string' ? new ObjectId(userId) : userId;
+      const ownerId = String(userId);
+      let recordMessageId = messageId;
 
-      const feedbackDoc = {
-        userId: userObjectId,
-        userQuestion: userQuestion.trim(),
-        feedbackType: feedbackType,
-        messageId: messageId || null,
-        createdAt: new Date(),
-        updatedAt: new Date()
-      };
+      if (!recordMessageId) {
+        recordMessageId = 'fb_' + Math.random().toString(36).substr(2, 9) + '_' + Date.now();
+        await this.analyticsService.storeQuestion(ownerId, username, userQuestion.trim(), recordMessageId, null, 'feedback');
+      }
+
+      await this.analyticsService.updateFeedback(recordMessageId, feedbackType, ownerId, details);
+      const record = await this.feedback.findOne({ messageId: recordMessageId });
 
-      const result = await this.feedback.insertOne(feedbackDoc);
-      
       console.log(`Feedback stored: ${feedbackType} from user ${userId}`);
       return {
         success: true,
-        feedbackId: result.insertedId,
+        feedbackId: record._id,
+        messageId: recordMessageId,
         message: 'Feedback stored successfully'
       };
 
@@ -71,51 +227,31 @@ class FeedbackService {
 
   async getUserAnalytics(userId) {
     try {
-      const userObjectId = typeof userId === 'string' ? new ObjectId(userId) : userId;
-
-      const pipeline = [
-        {
-          $match: { userId: userObjectId }
-        },
+      const stats = await this.feedback.aggregate([
+        { $match: { userId: String(userId) } },
         {
           $group: {
-            _id: '$feedbackType',
-            count: { $sum: 1 },
-            questions: { 
-              $push: {
-                question: '$userQuestion',
-                createdAt: '$createdAt',
-                messageId: '$messageId'
-              }
-            }
+            _id: null,
+            totalQuestions: { $sum: AnalyticsService.questionCount() },
+            positiveCount: { $sum: { $cond: ['$positiveFeedback', 1, 0] } },
+            negativeCount: { $sum: { $cond: ['$negativeFeedback', 1, 0] } }
           }
         }
-      ];
+      ]).toArray();
 
-      const results = await this.feedback.aggregate(pipeline).toArray();
+      const analytics = { ...EMPTY_ANALYTICS, recentFeedback: [] };
 
-      let analytics = {
-        totalQuestions: 0,
-        positiveCount: 0,
-        negativeCount: 0,
-        positivePercentage: 0,
-        negativePercentage: 0,
-        recentFeedback: []
-      };
-
-      results.forEach(result => {
-        if (result._id === 'positive') {
-          analytics.positiveCount = result.count;
-        } else if (result._id === 'negative') {
-          analytics.negativeCount = result.count;
-        }
-      });
+      if (stats.length > 0) {
+        analytics.totalQuestions = stats[0].totalQuestions;
+        analytics.positiveCount = stats[0].positiveCount;
+        analytics.negativeCount = stats[0].negativeCount;
+      }
 
-      analytics.totalQuestions = analytics.positiveCount + analytics.negativeCount;
+      analytics.feedbackCount = analytics.positiveCount + analytics.negativeCount;
 
-      if (analytics.totalQuestions > 0) {
-        analytics.positivePercentage = Math.round((analytics.positiveCount / analytics.totalQuestions) * 100);
-        analytics.negativePercentage = Math.round((analytics.negativeCount / analytics.totalQuestions) * 100);
+      if (analytics.feedbackCount > 0) {
+        analytics.positivePercentage = Math.round((analytics.positiveCount / analytics.feedbackCount) * 100);
+        analytics.negativePercentage = Math.round((analytics.negativeCount / analytics.feedbackCount) * 100);
       }
 
       analytics.recentFeedback = await this.getRecentUserFeedback(userId, 10);
@@ -130,21 +266,13 @@ class FeedbackService {
 
   async getRecentUserFeedback(userId, limit = 10) {
     try {
-      const userObjectId = typeof userId === 'string' ? new ObjectId(userId) : userId;
-
       const recentFeedback = await this.feedback
-        .find({ userId: userObjectId })
-        .sort({ createdAt: -1 })
+        .find({ userId: String(userId), ...HAS_FEEDBACK })
+        .sort({ feedbackAt: -1 })
         .limit(limit)
-        .project({
-          userQuestion: 1,
-          feedbackType: 1,
-          createdAt: 1,
-          messageId: 1
-        })
         .toArray();
 
-      return recentFeedback;
+      return recentFeedback.map(record => this.toFeedback(record));
 
     } catch (error) {
       console.error('Error getting recent user feedback:', error);
@@ -154,20 +282,20 @@ class FeedbackService {
 
   async getUserFeedback(userId, page = 1, limit = 20) {
     try {
-      const userObjectId = typeof userId === 'string' ? new ObjectId(userId) : userId;
+      const query = { userId: String(userId), ...HAS_FEEDBACK };
       const skip = (page - 1) * limit;
 
       const feedbackList = await this.feedback
-        .find({ userId: userObjectId })
-        .sort({ createdAt: -1 })
+        .find(query)
+        .sort({ feedbackAt: -1 })
         .skip(skip)
         .limit(limit)
         .toArray();
 
-      const totalCount = await this.feedback.countDocuments({ userId: userObjectId });
+      const totalCount = await this.feedback.countDocuments(query);
 
       return {
-        feedback: feedbackList,
+        feedback: feedbackList.map(record => this.toFeedback(record)),
         pagination: {
           currentPage: page,
           totalPages: Math.ceil(totalCount / limit),
@@ -183,28 +311,30 @@ class FeedbackService {
     }
   }
 
-  async updateFeedback(feedbackId, newFeedbackType) {
+  async findUserRecord(feedbackId, userId) {
+    if (!ObjectId.isValid(feedbackId)) {
+      return null;
+    }
+
+    return this.feedback.findOne({
+      _id: new ObjectId(feedbackId),
+      userId: String(userId)
+    });
+  }
+
+  async updateFeedback(feedbackId, newFeedbackType, userId, details = {}) {
     try {
       if (!['positive', 'negative'].includes(newFeedbackType)) {
         throw new Error('FeedbackType must be either "positive" or "negative"');
       }
 
-      const feedbackObjectId = typeof feedbackId === 'string' ? new ObjectId(feedbackId) : feedbackId;
-
-      const result = await this.feedback.updateOne(
-        { _id: feedbackObjectId },
-        { 
-          $set: { 
-            feedbackType: newFeedbackType,
-            updatedAt: new Date()
-          }
-        }
-      );
-
-      if (result.matchedCount === 0) {
+      const record = await this.findUserRecord(feedbackId, userId);
+      if (!record) {
         throw new Error('Feedback not found');
       }
 
+      await this.analyticsService.updateFeedback(record.messageId, newFeedbackType, String(userId), details);
+
       return {
         success: true,
         message: 'Feedback updated successfully'
@@ -218,18 +348,13 @@ class FeedbackService {
 
   async deleteFeedback(feedbackId, userId) {
     try {
-      const feedbackObjectId = typeof feedbackId === 'string' ? new ObjectId(feedbackId) : feedbackId;
-      const userObjectId = typeof userId === 'string' ? new ObjectId(userId) : userId;
-
-      const result = await this.feedback.deleteOne({ 
-        _id: feedbackObjectId,
-        userId: userObjectId
-      });
-
-      if (result.deletedCount === 0) {
+      const record = await this.findUserRecord(feedbackId, userId);
+      if (!record || (!record.positiveFeedback && !record.negativeFeedback)) {
         throw new Error('Feedback not found or not authorized');
       }
 
+      await this.analyticsService.clearFeedback(record.messageId, String(userId));
+
       return {
         success: true,
         message: 'Feedback deleted successfully'
@@ -243,14 +368,13 @@ class FeedbackService {
 
   async getFeedbackByMessageId(messageId, userId) {
     try {
-      const userObjectId = typeof userId === 'string' ? new ObjectId(userId) : userId;
-
-      const feedback = await this.feedback.findOne({
+      const record = await this.feedback.findOne({
         messageId: messageId,
-        userId: userObjectId
+        userId: String(userId),
+        ...HAS_FEEDBACK
       });
 
-      return feedback;
+      return record ? this.toFeedback(record) : null;
 
     } catch (error) {
       console.error('Error getting feedback by messageId:', error);
@@ -260,17 +384,17 @@ class FeedbackService {
 
   async getSystemAnalytics() {
     try {
-      const pipeline = [
+      const results = await this.feedback.aggregate([
+        { $match: HAS_FEEDBACK },
         {
           $group: {
-            _id: '$feedbackType',
-            count: { $sum: 1 }
+            _id: null,
+            positiveCount: { $sum: { $cond: ['$positiveFeedback', 1, 0] } },
+            negativeCount: { $sum: { $cond: ['$negativeFeedback', 1, 0] } }
           }
         }
-      ];
+      ]).toArray();
 
-      const results = await this.feedback.aggregate(pipeline).toArray();
-      
       let systemAnalytics = {
         totalFeedback: 0,
         positiveCount: 0,
@@ -279,13 +403,10 @@ class FeedbackService {
         negativePercentage: 0
       };
 
-      results.forEach(result => {
-        if (result._id === 'positive') {
-          systemAnalytics.positiveCount = result.count;
-        } else if (result._id === 'negative') {
-          systemAnalytics.negativeCount = result.count;
-        }
-      });
+      if (results.length > 0) {
+        systemAnalytics.positiveCount = results[0].positiveCount;
+        systemAnalytics.negativeCount = results[0].negativeCount;
+      }
 
       systemAnalytics.totalFeedback = systemAnalytics.positiveCount + systemAnalytics.negativeCount;
 
@@ -303,4 +424,4 @@ class FeedbackService {
   }
 }
 
-module.exports = FeedbackService;
\ No newline at end of file
+module.exports = FeedbackService;
@@ -1,10 +1,13 @@
 const axios = require('axios');
 const FormData = require('form-data');
 const FileUploadService = require('./services/fileUploadService');
+const { getUpstreamClient } = require('./utils/upstreamClient');
 
 class FileHandler {
-  constructor() {
+  constructor(webhookService = null) {
+    this.webhookService = webhookService;
     this.fastApiUrl = process.env.FASTAPI_URL || 'http://localhost:8000';
+    this.upstream = getUpstreamClient(this.fastApiUrl, { name: 'Python AI API' });
     this.fileUploadService = new FileUploadService();
     this.initializeService();
   }
@@ -32,26 +35,29 @@ class FileHandler {
 
       console.log(`Uploading PDF to Python API: ${file.originalname} for patient: ${user.userId}`);
 
-      const formData = new FormData();
-      formData.append('file', file.buffer, {
-        filename: file.originalname,
-        contentType: file.mimetype
-      });
-
-      formData.append('patient_id', user.userId);
-      formData.append('content_type', 'patient_private');
-
-      const response = await axios({
-        method: 'POST',
-        url: `${this.fastApiUrl}/api/v1/upload/pdf`,
-        data: formData,
-        headers: {
-          ...formData.getHeaders(),
-          'Accept': 'application/json'
-        },
-        timeout: 300000,
-        maxContentLength: 50 * 1024 * 1024,
-        maxBodyLength: 50 * 1024 * 1024
+      // Uploads are not idempotent: only failures to connect are retried, each with a fresh form body
+      const response = await this.upstream.request(() => {
+        const formData = new FormData();
+        formData.append('file', file.buffer, {
+          filename: file.originalname,
+          contentType: file.mimetype
+        });
+
+        formData.append('patient_id', user.userId);
+        formData.append('content_type', 'patient_private');
+
+        return {
+          method: 'POST',
+          url: '/api/v1/upload/pdf',
+          data: formData,
+          headers: {
+            ...formData.getHeaders(),
+            'Accept': 'application/json'
+          },
+          timeout: 300000,
+          maxContentLength: 50 * 1024 * 1024,
+          maxBodyLength: 50 * 1024 * 1024
+        };
       });
 
       console.log('Python API Response:', response.data);
@@ -81,6 +87,17 @@ class FileHandler {
       };
 
       console.log(`PDF upload completed: ${file.originalname} - Status: ${response.status}`);
+
+      if (this.webhookService) {
+        this.webhookService.dispatch('file.uploaded', {
+          filename: file.originalname,
+          fileSize: file.size,
+          mimeType: file.mimetype,
+          userId: user.userId,
+          username: user.username,
+          uploadedAt: result.uploadedAt
+        });
+      }
       res.status(200).json(result);
 
     } catch (error) {
@@ -90,7 +107,11 @@ class FileHandler {
       let statusCode = 500;
       let errorDetails = null;
 
-      if (error.code === 'ECONNREFUSED') {
+      if (error.code === 'CIRCUIT_OPEN') {
+        errorMessage = 'Python upload service is temporarily unavailable. Please try again later';
+        statusCode = 503;
+        res.set('Retry-After', String(error.retryAfter));
+      } else if (error.code === 'ECONNREFUSED') {
         errorMessage = 'Python upload service is currently unavailable';
         statusCode = 503;
       } else if (error.code === 'TIMEOUT') {
@@ -1,9 +1,72 @@
 const axios = require('axios');
+const { createStreamParser, detectStreamFormat, readStreamBody } = require('./utils/streamParser');
+const { getUpstreamClient, CircuitOpenError } = require('./utils/upstreamClient');
+const { createAIAdapter } = require('./utils/aiAdapters');
+const { metrics: serverMetrics } = require('./utils/metrics');
+
+const DEFAULT_DEGRADED_REPLY = 'Our AI assistant is temporarily unavailable. If you need help now, you can ask to speak with a human agent.';
 
 class MessageHandler {
   constructor(analyticsService = null) {
     this.fastApiUrl = process.env.FASTAPI_URL || 'http://localhost:8000';
     this.analyticsService = analyticsService;
+    this.contextMaxMessages = parseInt(process.env.AI_CONTEXT_MAX_MESSAGES) || 10;
+    this.contextMaxChars = parseInt(process.env.AI_CONTEXT_MAX_CHARS) || 4000;
+    this.degradedReply = process.env.AI_DEGRADED_REPLY || DEFAULT_DEGRADED_REPLY;
+    this.upstream = getUpstreamClient(this.fastApiUrl, { name: 'Python AI API' });
+    this.upstream.setHealthProbe(() => this.checkPythonAPIHealth());
+    this.defaultBackend = process.env.AI_BACKEND || 'fastapi';
+    this.backendOverrides = this.loadBackendOverrides();
+    this.adapters = new Map();
+    // messageId -> { clientId, userId, controller } for AI requests that have not answered yet
+    this.inFlight = new Map();
+
+    // Fail at startup rather than on the first chat message when a backend name is misspelled
+    this.getAdapter(this.defaultBackend);
+    this.backendOverrides.users.forEach(name => this.getAdapter(name));
+    this.backendOverrides.tenants.forEach(name => this.getAdapter(name));
+  }
+
+  /**
+   * Parse AI_BACKEND_OVERRIDES, e.g. {"users":{"<userId or username>":"mock"},"tenants":{"<tenantId>":"openai"}}
+   */
+  loadBackendOverrides() {
+    const overrides = { users: new Map(), tenants: new Map() };
+
+    if (!process.env.AI_BACKEND_OVERRIDES) {
+      return overrides;
+    }
+
+    try {
+      const parsed = JSON.parse(process.env.AI_BACKEND_OVERRIDES);
+      overrides.users = new Map(Object.entries(parsed.users || {}));
+      overrides.tenants = new Map(Object.entries(parsed.tenants || {}));
+    } catch (error) {
+      console.error('Invalid AI_BACKEND_OVERRIDES, ignoring:', error.message);
+    }
+
+    return overrides;
+  }
+
+  getAdapter(name) {
+    if (!this.adapters.has(name)) {
+      this.adapters.set(name, createAIAdapter(name));
+    }
+    return this.adapters.get(name);
+  }
+
+  /**
+   * Pick the AI backend for a session: a user override wins over a tenant override, which wins over AI_BACKEND
+   * @param {Object} session - WebSocket session
+   * @returns {Object} AI adapter
+   */
+  getAdapterForSession(session) {
+    const { users, tenants } = this.backendOverrides;
+    const name = users.get(session.userId) || users.get(session.username) ||
+      (session.tenantId && tenants.get(session.tenantId)) ||
+      this.defaultBackend;
+
+    return this.getAdapter(name);
   }
 
   async handleChatMessage(clientId, message, wsServer) {
@@ -28,14 +91,24 @@ class MessageHandler {
       const requestData = {
         query: query.trim(),
         patientId: session.userId,
-        patientName: session.username
+        patientName: session.username,
+        history: this.buildConversationContext(session)
       };
 
-      console.log(`Forwarding chat message to Python AI API from patient ${session.username} (${session.userId}): ${query}`);
+      console.log(`Forwarding chat message to AI backend from patient ${session.username} (${session.userId}): ${query}`);
 
       const messageId = this.generateMessageId();
+      const controller = new AbortController();
+      this.inFlight.set(messageId, { clientId, userId: session.userId, controller });
 
-      session.messages.push({
+      // Gives the client the messageId it needs to cancel this question
+      wsServer.sendMessage(clientId, {
+        type: 'message-accepted',
+        messageId: messageId,
+        timestamp: new Date().toISOString()
+      });
+
+      await wsServer.recordSessionMessage(session, {
         type: 'chat',
         message: query,
         timestamp: new Date(),
@@ -56,7 +129,11 @@ class MessageHandler {
         }
       }
 
-      await this.callPythonAIAPI(clientId, requestData, wsServer, session, messageId);
+      try {
+        await this.callAIBackend(clientId, requestData, wsServer, session, messageId, controller.signal);
+      } finally {
+        this.inFlight.delete(messageId);
+      }
 
     } catch (error) {
       console.error('Error in handleChatMessage:', error);
@@ -64,38 +141,108 @@ class MessageHandler {
     }
   }
 
-  async callPythonAIAPI(clientId, requestData, wsServer, session, messageId) {
-    try {
-      console.log('Calling Python AI API with:', requestData);
+  /**
+   * Abort the AI request for one of the user's questions; the chat flow then sends the cancelled frame
+   * @param {string} messageId - Message ID from the message-accepted frame
+   * @param {string} userId - Only requests from this user can be cancelled
+   * @returns {boolean} Whether a matching in-flight request was found
+   */
+  cancelRequest(messageId, userId) {
+    const request = this.inFlight.get(messageId);
+    if (!request || request.userId !== userId) {
+      return false;
+    }
 
+    request.controller.abort();
+    return true;
+  }
 
-      
-      const response = await axios({
-        method: 'POST',
-        url: `${this.fastApiUrl}/api/v1/chat/ai-response`,
-        data: requestData,
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'application/json'
-        },
-        timeout: 30000
-      });
+  /**
+   * Abort every in-flight AI request of a client, e.g. when its socket closes
+   * @param {string} clientId - WebSocket client ID
+   * @returns {number} Number of aborted requests
+   */
+  cancelClientRequests(clientId) {
+    let aborted = 0;
+    this.inFlight.forEach((request) => {
+      if (request.clientId === clientId) {
+        request.controller.abort();
+        aborted++;
+      }
+    });
+    return aborted;
+  }
+
+  async callAIBackend(clientId, requestData, wsServer, session, messageId, signal = null) {
+    const adapter = this.getAdapterForSession(session);
+    const history = requestData.history || [];
+    const startedAt = Date.now();
+    const metrics = {
+      backend: adapter.name,
+      latencyMs: null,
+      firstByteMs: null,
+      httpStatus: null,
+      errorCategory: null,
+      retryCount: 0,
+      requestChars: requestData.query.length,
+      contextTurns: history.length,
+      contextChars: history.reduce((total, turn) => total + turn.content.length, 0),
+      responseChars: null
+    };
+    let abortStream = null;
+
+    try {
+      console.log(`Calling ${adapter.name} AI backend with:`, { ...requestData, history: `${history.length} turns` });
+
+      const result = await adapter.send(requestData, { signal });
+      metrics.firstByteMs = Date.now() - startedAt;
+      metrics.httpStatus = result.status ?? null;
+      metrics.retryCount = result.retryCount || 0;
 
-      if (!response.data || typeof response.data.response !== 'string') {
-        throw new Error('Invalid response format from AI API');
+      // Cancelling after the response headers arrived has to stop the body as well
+      if (result.stream && signal) {
+        abortStream = () => result.stream.destroy(new Error('Request cancelled'));
+        if (signal.aborted) {
+          abortStream();
+        } else {
+          signal.addEventListener('abort', abortStream, { once: true });
+        }
       }
 
-      const aiResponse = response.data;
+      const streamFormat = result.stream ? detectStreamFormat(result.contentType) : null;
+      let aiResponse;
 
-      const responseMessage = {
-        type: 'ai-response',
-        messageId: messageId,
-        message: aiResponse.response,
-        timestamp: aiResponse.timestamp || new Date().toISOString(),
-        patient_context: aiResponse.patient_context || []
-      };
+      if (streamFormat) {
+        aiResponse = await this.relayStream(clientId, result.stream, streamFormat, wsServer, messageId);
+      } else {
+        if (result.stream) {
+          const body = await readStreamBody(result.stream);
+          let parsed;
+          try {
+            parsed = JSON.parse(body);
+          } catch (parseError) {
+            parsed = null;
+          }
+          aiResponse = parsed && adapter.normalizeResponse ? adapter.normalizeResponse(parsed) : parsed;
+        } else {
+          aiResponse = result;
+        }
 
-      wsServer.sendMessage(clientId, responseMessage);
+        if (!aiResponse || typeof aiResponse.response !== 'string') {
+          throw new Error('Invalid response format from AI API');
+        }
+
+        wsServer.sendMessage(clientId, {
+          type: 'ai-response',
+          messageId: messageId,
+          message: aiResponse.response,
+          timestamp: aiResponse.timestamp || new Date().toISOString(),
+          patient_context: aiResponse.patient_context || []
+        });
+      }
+
+      metrics.latencyMs = Date.now() - startedAt;
+      metrics.responseChars = aiResponse.response.length;
 
       if (this.analyticsService) {
         try {
@@ -105,34 +252,298 @@ class MessageHandler {
         }
       }
 
-      session.messages.push({
+      await wsServer.recordSessionMessage(session, {
         type: 'ai-response',
         message: aiResponse.response,
         timestamp: new Date(),
         from: 'assistant',
         messageId: messageId,
-        patient_context: aiResponse.patient_context
+        patient_context: aiResponse.patient_context || []
       });
 
       console.log(`AI response sent to client ${clientId}: ${aiResponse.response.substring(0, 100)}...`);
 
     } catch (error) {
-      console.error('Python AI API request error:', error);
+      metrics.latencyMs = Date.now() - startedAt;
+      metrics.httpStatus = error.response?.status ?? metrics.httpStatus;
+      metrics.retryCount = error.retryCount ?? metrics.retryCount;
+      metrics.errorCategory = this.categorizeUpstreamError(error, signal);
+
+      if (signal?.aborted) {
+        await this.sendCancelled(clientId, wsServer, messageId);
+        return;
+      }
+
+      if (error instanceof CircuitOpenError) {
+        await this.sendDegradedReply(clientId, wsServer, session, messageId, error);
+        return;
+      }
+
+      console.error(`${adapter.name} AI backend request error:`, error);
+
+      if (error.response?.data && typeof error.response.data.pipe === 'function') {
+        try {
+          const body = await readStreamBody(error.response.data);
+          error.response.data = JSON.parse(body);
+        } catch (readError) {
+          error.response.data = null;
+        }
+      }
       
-      if (error.code === 'ECONNREFUSED') {
+      if (metrics.errorCategory === 'refused') {
         wsServer.sendError(clientId, 'AI service is currently unavailable. Please try again later.');
-      } else if (error.code === 'TIMEOUT' || error.code === 'ENOTFOUND') {
+      } else if (metrics.errorCategory === 'timeout') {
         wsServer.sendError(clientId, 'Request timeout - please try again');
       } else if (error.response) {
         const statusCode = error.response.status;
-        const errorMessage = error.response.data?.detail || error.response.data?.message || 'AI service error';
+        const errorMessage = error.response.data?.detail || error.response.data?.message || error.response.data?.error?.message || 'AI service error';
         
         console.error(`AI API Error ${statusCode}:`, errorMessage);
         wsServer.sendError(clientId, `AI service error: ${errorMessage}`);
       } else {
         wsServer.sendError(clientId, 'Failed to connect to AI service');
       }
+    } finally {
+      // A turn that was never cancelled would otherwise keep the listener, and the stream, on its signal
+      if (abortStream) {
+        signal.removeEventListener('abort', abortStream);
+      }
+      await this.recordUpstreamMetrics(messageId, metrics);
+    }
+  }
+
+  /**
+   * Bucket an AI backend failure for the upstream analytics
+   * @returns {string} 'cancelled', 'circuit-open', 'timeout', 'refused', '4xx', '5xx' or 'other'
+   */
+  categorizeUpstreamError(error, signal = null) {
+    if (signal?.aborted) {
+      return 'cancelled';
+    }
+    if (error instanceof CircuitOpenError) {
+      return 'circuit-open';
+    }
+    if (error.response) {
+      return error.response.status >= 500 ? '5xx' : '4xx';
+    }
+    if (['ECONNABORTED', 'ETIMEDOUT'].includes(error.code)) {
+      return 'timeout';
+    }
+    if (['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH', 'ECONNRESET'].includes(error.code)) {
+      return 'refused';
     }
+    return 'other';
+  }
+
+  async recordUpstreamMetrics(messageId, metrics) {
+    const labels = { backend: metrics.backend, outcome: metrics.errorCategory || 'success' };
+    if (metrics.latencyMs !== null) {
+      serverMetrics.aiRequestDuration.observe(labels, metrics.latencyMs / 1000);
+    }
+    if (metrics.firstByteMs !== null) {
+      serverMetrics.aiFirstByteDuration.observe(labels, metrics.firstByteMs / 1000);
+    }
+
+    if (!this.analyticsService) {
+      return;
+    }
+
+    try {
+      await this.analyticsService.recordUpstreamMetrics(messageId, metrics);
+    } catch (error) {
+      console.error('Error recording upstream metrics in analytics:', error);
+    }
+  }
+
+  async sendCancelled(clientId, wsServer, messageId) {
+    console.log(`AI request ${messageId} cancelled for client ${clientId}`);
+
+    wsServer.sendMessage(clientId, {
+      type: 'cancelled',
+      messageId: messageId,
+      timestamp: new Date().toISOString()
+    });
+
+    if (this.analyticsService) {
+      try {
+        await this.analyticsService.markCancelled(messageId);
+      } catch (error) {
+        console.error('Error marking analytics record as cancelled:', error);
+      }
+    }
+  }
+
+  /**
+   * Answer with the configured degraded-mode reply while the AI backend circuit is open,
+   * offering the user a human agent instead
+   */
+  async sendDegradedReply(clientId, wsServer, session, messageId, error) {
+    console.warn(`AI backend unavailable, sending degraded reply to client ${clientId} (retry after ${error.retryAfter}s)`);
+
+    wsServer.sendMessage(clientId, {
+      type: 'ai-response',
+      messageId: messageId,
+      message: this.degradedReply,
+      degraded: true,
+      offerEscalation: true,
+      retryAfter: error.retryAfter,
+      timestamp: new Date().toISOString(),
+      patient_context: []
+    });
+
+    await wsServer.recordSessionMessage(session, {
+      type: 'ai-response',
+      message: this.degradedReply,
+      timestamp: new Date(),
+      from: 'assistant',
+      messageId: messageId,
+      degraded: true
+    });
+  }
+
+  /**
+   * Relay a streaming upstream response to the client as stream-start / stream-token / stream-end frames
+   * @param {string} clientId - WebSocket client ID
+   * @param {Readable} stream - Upstream response body
+   * @param {string} format - 'sse' or 'ndjson'
+   * @param {WebSocketServer} wsServer - WebSocket server used to send frames
+   * @param {string} messageId - Message ID shared by every frame of this response
+   * @returns {Promise<Object>} Final response in the same shape as the JSON endpoint
+   */
+  relayStream(clientId, stream, format, wsServer, messageId) {
+    return new Promise((resolve, reject) => {
+      let fullText = '';
+      let finalResponse = null;
+      let patientContext = [];
+      let timestamp = null;
+      let finished = false;
+
+      wsServer.sendMessage(clientId, {
+        type: 'stream-start',
+        messageId: messageId,
+        timestamp: new Date().toISOString()
+      });
+
+      const finish = () => {
+        if (finished) {
+          return;
+        }
+        finished = true;
+
+        const responseText = finalResponse !== null ? finalResponse : fullText;
+        const completedAt = timestamp || new Date().toISOString();
+
+        wsServer.sendMessage(clientId, {
+          type: 'stream-end',
+          messageId: messageId,
+          message: responseText,
+          timestamp: completedAt,
+          patient_context: patientContext
+        });
+
+        resolve({
+          response: responseText,
+          patient_context: patientContext,
+          timestamp: completedAt
+        });
+      };
+
+      const parser = createStreamParser(format, (event) => {
+        if (finished) {
+          return;
+        }
+
+        if (event.patientContext) {
+          patientContext = event.patientContext;
+        }
+        if (event.timestamp) {
+          timestamp = event.timestamp;
+        }
+        if (event.response !== null && event.response !== undefined) {
+          finalResponse = event.response;
+        }
+
+        if (event.token) {
+          fullText += event.token;
+          wsServer.sendMessage(clientId, {
+            type: 'stream-token',
+            messageId: messageId,
+            token: event.token,
+            timestamp: new Date().toISOString()
+          });
+        }
+
+        if (event.done) {
+          finish();
+        }
+      });
+
+      stream.on('data', (chunk) => parser.push(chunk));
+
+      stream.on('end', () => {
+        parser.end();
+        if (finished) {
+          return;
+        }
+
+        // A stream that closes without any token or final response is a failed upstream call, not an empty answer
+        if (fullText.length === 0 && finalResponse === null) {
+          finished = true;
+          reject(new Error('AI stream ended without a response'));
+          return;
+        }
+
+        finish();
+      });
+
+      stream.on('error', (error) => {
+        if (finished) {
+          return;
+        }
+        finished = true;
+        reject(error);
+      });
+    });
+  }
+
+  /**
+   * Build the prior user/assistant turns sent to the AI API for follow-up questions.
+   * Keeps the most recent AI_CONTEXT_MAX_MESSAGES turns that fit in AI_CONTEXT_MAX_CHARS,
+   * truncating the oldest included turn if it does not fit whole.
+   * @param {Object} session - WebSocket session
+   * @returns {Array} Turns in chronological order as { role, content }
+   */
+  buildConversationContext(session) {
+    const turns = session.messages
+      .filter(entry => entry.messageId && !entry.degraded && (
+        (entry.type === 'chat' && entry.from === 'user') ||
+        (entry.type === 'ai-response' && entry.from === 'assistant')
+      ))
+      .filter(entry => typeof entry.message === 'string' && entry.message.length > 0)
+      .slice(-this.contextMaxMessages);
+
+    const context = [];
+    let remainingChars = this.contextMaxChars;
+
+    for (let i = turns.length - 1; i >= 0 && remainingChars > 0; i--) {
+      const entry = turns[i];
+      let content = entry.message;
+
+      if (content.length > remainingChars) {
+        if (remainingChars <= 3) {
+          break;
+        }
+        content = '...' + content.slice(content.length - remainingChars + 3);
+      }
+
+      remainingChars -= content.length;
+      context.unshift({
+        role: entry.from === 'user' ? 'user' : 'assistant',
+        content: content
+      });
+    }
+
+    return context;
   }
 
   generateMessageId() {
@@ -181,14 +592,17 @@ class MessageHandler {
         statusCode: error.response.status,
         timestamp: new Date().toISOString()
       };
-    } else if (error.code === 'ECONNREFUSED') {
+    }
+
+    const category = this.categorizeUpstreamError(error);
+    if (category === 'refused') {
       return {
         type: 'error',
         message: 'AI service is currently unavailable',
         code: 'SERVICE_UNAVAILABLE',
         timestamp: new Date().toISOString()
       };
-    } else if (error.code === 'TIMEOUT') {
+    } else if (category === 'timeout') {
       return {
         type: 'error',
         message: 'Request timeout - please try again',
@@ -1,6 +1,12 @@
 const cors = require('cors');
 const express = require('express');
 const jwt = require('jsonwebtoken');
+const { hasPermission } = require('../utils/permissions');
+const { RateLimiter } = require('../utils/rateLimiter');
+const { httpMetricsMiddleware } = require('../utils/metrics');
+
+// Set by setupMiddleware so authenticateToken can check token revocation
+let tokenAuthService = null;
 
 const authenticateToken = (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -9,6 +15,17 @@ const authenticateToken = (req, res, next) => {
     return res.status(401).json({ error: 'Access token required' });
   }
 
+  if (tokenAuthService) {
+    return tokenAuthService.verifyAccessToken(token)
+      .then((user) => {
+        req.user = user;
+        next();
+      })
+      .catch(() => {
+        res.status(403).json({ error: 'Invalid or expired token' });
+      });
+  }
+
   jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret-key', (err, user) => {
     if (err) {
       return res.status(403).json({ error: 'Invalid or expired token' });
@@ -18,7 +35,106 @@ const authenticateToken = (req, res, next) => {
   });
 };
 
-const setupMiddleware = (app) => {
+/**
+ * Require a role permission; must run after authenticateToken.
+ * @param {string} permission - Permission name, e.g. 'escalations:manage'
+ * @param {Object} options - { allowSelf: 'paramName' } also lets users through when req.params[paramName] is their own userId
+ * @returns {Function} Express middleware
+ */
+const requirePermission = (permission, options = {}) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Access token required' });
+    }
+
+    if (options.allowSelf && req.params[options.allowSelf] === String(req.user.userId)) {
+      return next();
+    }
+
+    if (!hasPermission(req.user, permission)) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    next();
+  };
+};
+
+/**
+ * Per-IP and per-user request limits for the REST API.
+ * The user is taken from a correctly signed Bearer token; revocation is left to authenticateToken.
+ * @param {Object} store - Rate limit store from createRateLimitStore
+ * @returns {Function} Express middleware
+ */
+const rateLimitRequests = (store) => {
+  const ipLimiter = new RateLimiter({
+    store,
+    limit: parseInt(process.env.RATE_LIMIT_HTTP_IP_PER_MINUTE) || 300,
+    windowMs: 60000,
+    prefix: 'http:ip'
+  });
+  const userLimiter = new RateLimiter({
+    store,
+    limit: parseInt(process.env.RATE_LIMIT_HTTP_USER_PER_MINUTE) || 120,
+    windowMs: 60000,
+    prefix: 'http:user'
+  });
+
+  return async (req, res, next) => {
+    const results = [await ipLimiter.consume(req.ip)];
+
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+    if (token) {
+      try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret-key');
+        results.push(await userLimiter.consume(decoded.userId));
+      } catch (error) {
+        // Invalid tokens are only limited per IP; authentication rejects them later
+      }
+    }
+
+    const blocked = results.find(result => !result.allowed);
+    const tightest = blocked || results.reduce((a, b) => (a.remaining <= b.remaining ? a : b));
+
+    res.set('X-RateLimit-Limit', String(tightest.limit));
+    res.set('X-RateLimit-Remaining', String(tightest.remaining));
+    res.set('X-RateLimit-Reset', String(Math.ceil(tightest.resetAt.getTime() / 1000)));
+
+    if (blocked) {
+      res.set('Retry-After', String(blocked.retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: 'Too many requests',
+        retryAfter: blocked.retryAfter
+      });
+    }
+
+    next();
+  };
+};
+
+/**
+ * TRUST_PROXY accepts 'true', a hop count, or addresses/subnets such as 'loopback, 10.0.0.0/8'
+ */
+const parseTrustProxy = (value) => {
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  if (/^\d+$/.test(value)) {
+    return parseInt(value);
+  }
+  return value;
+};
+
+const setupMiddleware = (app, authService = null, rateLimitStore = null) => {
+  tokenAuthService = authService;
+
+  // Behind a reverse proxy req.ip is the proxy's address unless Express trusts X-Forwarded-For from it
+  if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+  }
+
+  app.use(httpMetricsMiddleware);
   app.use(cors({
     origin: true,
     credentials: true,
@@ -33,6 +149,10 @@ const setupMiddleware = (app) => {
     next();
   });
 
+  if (rateLimitStore) {
+    app.use(rateLimitRequests(rateLimitStore));
+  }
+
   app.use((error, req, res, next) => {
     console.error('Unhandled error:', error);
     res.status(500).json({
@@ -42,4 +162,4 @@ const setupMiddleware = (app) => {
   });
 };
 
-module.exports = { setupMiddleware, authenticateToken };
\ No newline at end of file
+module.exports = { setupMiddleware, authenticateToken, requirePermission, rateLimitRequests };
\ No newline at end of file
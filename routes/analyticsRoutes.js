@@ -1,5 +1,6 @@
 const express = require('express');
 const AnalyticsController = require('../controllers/analyticsController');
+const { requirePermission } = require('../middleware');
 
 /**
  * Creates analytics routes
@@ -39,23 +40,44 @@ function createAnalyticsRoutes(analyticsService, authService) {
       });
     }
 
-    try {
-      const decoded = authService.verifyToken(token);
-      req.user = decoded;
-      next();
-    } catch (error) {
-      return res.status(403).json({
-        success: false,
-        error: 'Invalid or expired token'
+    authService.verifyAccessToken(token)
+      .then((decoded) => {
+        req.user = decoded;
+        next();
+      })
+      .catch(() => {
+        res.status(403).json({
+          success: false,
+          error: 'Invalid or expired token'
+        });
       });
-    }
   };
 
-  router.post('/analytics/feedback', controller.updateFeedback);
+  router.post('/analytics/feedback', authenticateTokenRequired, controller.updateFeedback);
+
+  router.get('/analytics/user/:userId',
+    authenticateTokenRequired,
+    requirePermission('analytics:read-all', { allowSelf: 'userId' }),
+    controller.getUserSummary
+  );
+
+  router.get('/analytics/all-users',
+    authenticateTokenRequired,
+    requirePermission('analytics:read-all'),
+    controller.getAllUsersSummary
+  );
 
-  router.get('/analytics/user/:userId', controller.getUserSummary);
+  router.get('/analytics/timeseries',
+    authenticateTokenRequired,
+    requirePermission('analytics:read-all'),
+    controller.getTimeSeries
+  );
 
-  router.get('/analytics/all-users', controller.getAllUsersSummary);
+  router.get('/analytics/upstream',
+    authenticateTokenRequired,
+    requirePermission('analytics:read-all'),
+    controller.getUpstreamStats
+  );
 
   return router;
 }
@@ -1,6 +1,6 @@
 const express = require('express');
 const AuthController = require('../controllers/authController');
-const { authenticateToken } = require('../middleware');
+const { authenticateToken, requirePermission } = require('../middleware');
 
 const createAuthRoutes = (authService, feedbackService = null) => {
   const router = express.Router();
@@ -9,8 +9,16 @@ const createAuthRoutes = (authService, feedbackService = null) => {
   router.post('/login', authController.login);
   router.post('/register', authController.register);
   router.post('/verify', authController.verifyToken);
+  router.post('/refresh', authController.refresh);
+  router.post('/logout', authController.logout);
+  router.post('/verify-email', authController.verifyEmail);
+  router.post('/verify-email/request', authenticateToken, authController.requestEmailVerification);
+  router.post('/password-reset/request', authController.requestPasswordReset);
+  router.post('/password-reset', authController.resetPassword);
 
   router.get('/profile', authenticateToken, authController.getUserProfile);
+  router.post('/users/:userId/unlock', authenticateToken, requirePermission('users:manage'), authController.unlockAccount);
+  router.put('/users/:userId/role', authenticateToken, requirePermission('users:manage'), authController.updateUserRole);
 
   return router;
 };
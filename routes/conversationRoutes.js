@@ -0,0 +1,15 @@
+const express = require('express');
+const ConversationController = require('../controllers/conversationController');
+const { authenticateToken } = require('../middleware');
+
+const createConversationRoutes = (conversationService) => {
+  const router = express.Router();
+  const conversationController = new ConversationController(conversationService);
+  router.use('/conversations', authenticateToken);
+  router.get('/conversations', conversationController.getUserConversations);
+  router.get('/conversations/:conversationId', conversationController.getConversation);
+  router.delete('/conversations/:conversationId', conversationController.deleteConversation);
+  return router;
+};
+
+module.exports = createConversationRoutes;
@@ -1,17 +1,19 @@
 const express = require('express');
 const EscalationController = require('../controllers/escalationController');
-const { authenticateToken } = require('../middleware');
+const { authenticateToken, requirePermission } = require('../middleware');
 
 const createEscalationRoutes = (escalationService) => {
   const router = express.Router();
   const escalationController = new EscalationController(escalationService);
   router.use(authenticateToken);
   router.post('/escalation/submit', escalationController.submitEscalation);
-  router.get('/escalation/all', escalationController.getAllEscalations);
+  router.get('/escalation/all', requirePermission('escalations:read-all'), escalationController.getAllEscalations);
   router.get('/escalation/my-requests', escalationController.getUserEscalations);
-  router.put('/escalation/:escalationId/status', escalationController.updateEscalationStatus);
+  router.put('/escalation/:escalationId/status', requirePermission('escalations:manage'), escalationController.updateEscalationStatus);
+  router.put('/escalation/:escalationId/assign', requirePermission('escalations:manage'), escalationController.assignEscalation);
+  router.post('/escalation/:escalationId/notes', requirePermission('escalations:manage'), escalationController.addNote);
   router.delete('/escalation/:escalationId', escalationController.deleteEscalation);
-  router.get('/escalation/stats', escalationController.getEscalationStats);
+  router.get('/escalation/stats', requirePermission('escalations:read-all'), escalationController.getEscalationStats);
   router.get('/escalation/health', escalationController.healthCheck);
   return router;
 };
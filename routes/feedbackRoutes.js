@@ -1,11 +1,11 @@
 const express = require('express');
 const FeedbackController = require('../controllers/feedbackController');
-const { authenticateToken } = require('../middleware');
+const { authenticateToken, requirePermission } = require('../middleware');
 
 const createFeedbackRoutes = (feedbackService) => {
   const router = express.Router();
   const feedbackController = new FeedbackController(feedbackService);
-  router.use(authenticateToken);
+  router.use('/feedback', authenticateToken);
   router.post('/feedback/submit', feedbackController.submitFeedback);
   router.get('/feedback/analytics', feedbackController.getUserAnalytics);
   router.get('/feedback/history', feedbackController.getUserFeedback);
@@ -14,7 +14,7 @@ const createFeedbackRoutes = (feedbackService) => {
   router.delete('/feedback/:feedbackId', feedbackController.deleteFeedback);
   router.get('/feedback/message/:messageId', feedbackController.getFeedbackByMessageId);
   router.get('/feedback/health', feedbackController.healthCheck);
-  router.get('/feedback/system-analytics', feedbackController.getSystemAnalytics);
+  router.get('/feedback/system-analytics', requirePermission('feedback:read-all'), feedbackController.getSystemAnalytics);
   return router;
 };
 
@@ -1,11 +1,11 @@
 const express = require('express');
 const multer = require('multer');
-const { authenticateToken } = require('../middleware');
+const { authenticateToken, requirePermission } = require('../middleware');
 
-function createFileRoutes(fileUploadService) {
+function createFileRoutes(fileUploadService, webhookService = null) {
   const router = express.Router();
   const FileHandler = require('../fileHandler');
-  const fileHandler = new FileHandler();
+  const fileHandler = new FileHandler(webhookService);
   
   const FileUploadController = require('../controllers/fileUploadController');
   const fileUploadController = new FileUploadController(fileUploadService);
@@ -28,6 +28,7 @@ function createFileRoutes(fileUploadService) {
 
   router.post('/files/upload', 
     authenticateToken, 
+    requirePermission('files:upload'),
     upload.single('file'), 
     async (req, res) => {
       await fileHandler.handleHTTPFileUpload(req, res);
@@ -1,9 +1,13 @@
 const express = require('express');
 const ServerController = require('../controllers/serverController');
 
-const createServerRoutes = (wsServer, messageHandler) => {
+/**
+ * @param {Function} getWsServer - Returns the WebSocket server once it exists
+ * @param {Function} getMessageHandler - Returns the message handler once it exists
+ */
+const createServerRoutes = (getWsServer, getMessageHandler) => {
   const router = express.Router();
-  const serverController = new ServerController(wsServer, messageHandler);
+  const serverController = new ServerController(getWsServer, getMessageHandler);
   router.get('/health', serverController.healthCheck);
   router.get('/websocket/info', serverController.websocketInfo);
   router.get('/stats', serverController.serverStats);
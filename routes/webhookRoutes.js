@@ -0,0 +1,18 @@
+const express = require('express');
+const WebhookController = require('../controllers/webhookController');
+const { authenticateToken, requirePermission } = require('../middleware');
+
+const createWebhookRoutes = (webhookService) => {
+  const router = express.Router();
+  const webhookController = new WebhookController(webhookService);
+  router.use('/webhooks', authenticateToken, requirePermission('webhooks:manage'));
+  router.get('/webhooks', webhookController.listWebhooks);
+  router.post('/webhooks', webhookController.registerWebhook);
+  router.put('/webhooks/:webhookId', webhookController.updateWebhook);
+  router.delete('/webhooks/:webhookId', webhookController.deleteWebhook);
+  router.get('/webhooks/:webhookId/deliveries', webhookController.getDeliveries);
+  router.post('/webhooks/deliveries/:deliveryId/redeliver', webhookController.redeliver);
+  return router;
+};
+
+module.exports = createWebhookRoutes;
@@ -7,10 +7,13 @@ const FeedbackService = require('./feedbackService');
 const FileUploadService = require('./services/fileUploadService');
 const AnalyticsService = require('./services/analyticsService');
 const EscalationService = require('./services/escalationService');
+const ConversationService = require('./services/conversationService');
+const WebhookService = require('./services/webhookService');
 const WebSocketServer = require('./websocketServer');
 const MessageHandler = require('./messageHandler');
 
 const { setupMiddleware } = require('./middleware');
+const { createRateLimitStore } = require('./utils/rateLimiter');
 const createAuthRoutes = require('./routes/authRoutes');
 const createServerRoutes = require('./routes/serverRoutes');
 const ServerController = require('./controllers/serverController');
@@ -22,10 +25,14 @@ class ChatbotServer {
     this.app = express();
     this.server = http.createServer(this.app);
     this.authService = new AuthService();
-    this.feedbackService = new FeedbackService(this.authService);
     this.fileUploadService = new FileUploadService();
-    this.analyticsService = new AnalyticsService(this.authService);
+    this.webhookService = new WebhookService(this.authService);
+    this.analyticsService = new AnalyticsService(this.authService, this.webhookService);
+    this.feedbackService = new FeedbackService(this.authService, this.analyticsService);
     this.escalationService = new EscalationService(this.authService);
+    this.webhookService.attachEscalationEvents(this.escalationService);
+    this.conversationService = new ConversationService(this.authService);
+    this.rateLimitStore = createRateLimitStore(process.env.RATE_LIMIT_STORE, () => this.authService.db);
     this.wsServer = null;
     this.messageHandler = null;
     
@@ -33,30 +40,40 @@ class ChatbotServer {
   }
 
   setupApplication() {
-    setupMiddleware(this.app);
+    setupMiddleware(this.app, this.authService, this.rateLimitStore);
     this.setupRoutes();
   }
 
   setupRoutes() {
     this.app.use('/api/auth', createAuthRoutes(this.authService, this.feedbackService));
 
+    const createFeedbackRoutes = require('./routes/feedbackRoutes');
+    this.app.use('/api', createFeedbackRoutes(this.feedbackService));
+
     const createAnalyticsRoutes = require('./routes/analyticsRoutes');
     this.app.use('/api', createAnalyticsRoutes(this.analyticsService, this.authService));
 
     const createFileRoutes = require('./routes/fileRoutes');
-    this.app.use('/api', createFileRoutes(this.fileUploadService));
+    this.app.use('/api', createFileRoutes(this.fileUploadService, this.webhookService));
 
     const createEscalationRoutes = require('./routes/escalationRoutes');
     this.app.use('/api', createEscalationRoutes(this.escalationService));
 
+    const createConversationRoutes = require('./routes/conversationRoutes');
+    this.app.use('/api', createConversationRoutes(this.conversationService));
+
+    const createWebhookRoutes = require('./routes/webhookRoutes');
+    this.app.use('/api', createWebhookRoutes(this.webhookService));
+
     this.setupServerRoutes();
 
-    const serverController = new ServerController(this.wsServer, this.messageHandler);
+    const serverController = new ServerController(() => this.wsServer, () => this.messageHandler);
+    this.app.get('/metrics', serverController.metrics);
     this.app.use('*', serverController.notFound);
   }
 
   setupServerRoutes() {
-    this.app.use('/api', createServerRoutes(this.wsServer, this.messageHandler));
+    this.app.use('/api', createServerRoutes(() => this.wsServer, () => this.messageHandler));
   }
 
   async start() {
@@ -64,23 +81,34 @@ class ChatbotServer {
       console.log('Connecting to MongoDB Atlas...');
       await this.authService.connect();
 
-      console.log('Initializing feedback service...');
-      await this.feedbackService.initialize();
-
       console.log('Initializing analytics service...');
       await this.analyticsService.initialize();
 
+      console.log('Initializing feedback service...');
+      await this.feedbackService.initialize();
+
       console.log('Initializing escalation service...');
       await this.escalationService.initialize();
 
+      console.log('Initializing conversation service...');
+      await this.conversationService.initialize();
+
+      console.log('Initializing webhook service...');
+      await this.webhookService.initialize();
+      this.webhookService.startDeliveryWorker();
+
       this.messageHandler = new MessageHandler(this.analyticsService);
 
       console.log('Initializing file upload service...');
       await this.fileUploadService.connect();
 
       console.log('Setting up WebSocket server...');
-      this.wsServer = new WebSocketServer(this.server, this.authService, this.feedbackService, this.messageHandler);
+      this.wsServer = new WebSocketServer(this.server, this.authService, this.feedbackService, this.messageHandler, this.conversationService, {
+        rateLimitStore: this.rateLimitStore,
+        escalationService: this.escalationService
+      });
       this.wsServer.startHealthCheck();
+      this.escalationService.startSlaMonitor();
 
       console.log('Checking Python AI API connectivity...');
       const pythonApiHealthy = await this.messageHandler.checkPythonAPIHealth();
@@ -1,10 +1,21 @@
 const { ObjectId } = require('mongodb');
+const { listBuckets } = require('../utils/timeBuckets');
+
+const FEEDBACK_REASONS = ['inaccurate', 'incomplete', 'unsafe', 'irrelevant', 'too-slow'];
+const MAX_FEEDBACK_COMMENT_LENGTH = 1000;
+const MAX_TIME_SERIES_BUCKETS = parseInt(process.env.ANALYTICS_MAX_BUCKETS) || 1000;
+const TIME_SERIES_METRICS = ['questions', 'aiResponses', 'positive', 'negative', 'escalations'];
+const UPSTREAM_ERROR_CATEGORIES = ['timeout', 'refused', '4xx', '5xx', 'circuit-open', 'other'];
+// Records that only exist to carry feedback: ratings of questions asked outside the chat socket and migrated legacy feedback
+const FEEDBACK_ONLY_SOURCES = ['feedback', 'legacy-feedback'];
 
 class AnalyticsService {
-  constructor(authService) {
+  constructor(authService, webhookService = null) {
     this.authService = authService;
+    this.webhookService = webhookService;
     this.db = null;
     this.analytics = null;
+    this.supportsPercentile = true;
   }
 
   async initialize() {
@@ -15,8 +26,10 @@ class AnalyticsService {
 
       this.db = this.authService.db;
       this.analytics = this.db.collection('chat_analytics');
+      this.escalations = this.db.collection('escalations');
 
       await this.createIndexes();
+      await this.checkServerVersion();
 
       console.log('Analytics service initialized successfully');
     } catch (error) {
@@ -38,6 +51,22 @@ class AnalyticsService {
     }
   }
 
+  /**
+   * getUpstreamStats uses $percentile, which needs MongoDB 7.0. On older servers warn at startup and let the
+   * endpoint fail with a clear error instead of an aggregation error. If the version cannot be read, assume support.
+   */
+  async checkServerVersion() {
+    try {
+      const { version, versionArray } = await this.db.admin().buildInfo();
+      this.supportsPercentile = versionArray[0] >= 7;
+      if (!this.supportsPercentile) {
+        console.warn(`MongoDB ${version} has no $percentile (7.0 or later); /api/analytics/upstream will be unavailable`);
+      }
+    } catch (error) {
+      console.warn('Could not read the MongoDB server version:', error.message);
+    }
+  }
+
   /**
    * Store a new chat question when user sends a message
    * @param {string} userId - User ID
@@ -45,9 +74,10 @@ class AnalyticsService {
    * @param {string} question - User's question
    * @param {string} messageId - Unique message ID
    * @param {string} aiResponse - AI's response (optional, can be added later)
+   * @param {string} source - 'chat' for questions sent to the AI, 'feedback' for records created to hold a rating
    * @returns {Object} Created analytics record
    */
-  async storeQuestion(userId, username, question, messageId, aiResponse = null) {
+  async storeQuestion(userId, username, question, messageId, aiResponse = null, source = 'chat') {
     try {
       if (!userId || !question || !messageId) {
         throw new Error('userId, question, and messageId are required');
@@ -59,8 +89,10 @@ class AnalyticsService {
         messageId: messageId,
         question: question,
         aiResponse: aiResponse,
+        cancelled: false,
         positiveFeedback: false,
         negativeFeedback: false,
+        source: source,
         createdAt: new Date(),
         updatedAt: new Date()
       };
@@ -119,12 +151,94 @@ class AnalyticsService {
   }
 
   /**
-   * Update feedback when user clicks thumbs up or thumbs down
+   * Mark a question as cancelled by the user, so it is not mistaken for one the AI never answered
+   * @param {string} messageId - Message ID
+   * @returns {Object} Update result
+   */
+  async markCancelled(messageId) {
+    try {
+      if (!messageId) {
+        throw new Error('messageId is required');
+      }
+
+      const result = await this.analytics.updateOne(
+        { messageId: messageId },
+        {
+          $set: {
+            cancelled: true,
+            cancelledAt: new Date(),
+            updatedAt: new Date()
+          }
+        }
+      );
+
+      if (result.matchedCount === 0) {
+        throw new Error('Analytics record not found for messageId: ' + messageId);
+      }
+
+      console.log(`Analytics record marked as cancelled for messageId: ${messageId}`);
+
+      return {
+        success: true,
+        messageId: messageId
+      };
+    } catch (error) {
+      console.error('Error marking analytics record as cancelled:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * $sum operand that counts a record as an asked question unless it only exists to carry feedback
+   */
+  static questionCount() {
+    return { $cond: [{ $in: ['$source', FEEDBACK_ONLY_SOURCES] }, 0, 1] };
+  }
+
+  /**
+   * Check the optional details that can accompany a thumbs up/down
+   * @param {Object} details - { rating: 1-5, reasons: subset of FEEDBACK_REASONS, comment }
+   * @returns {Object} { valid, error } or { valid, details } with defaults filled in
+   */
+  static validateFeedbackDetails({ rating = null, reasons = null, comment = null } = {}) {
+    reasons = reasons ?? [];
+
+    if (rating !== null && rating !== undefined && (!Number.isInteger(rating) || rating < 1 || rating > 5)) {
+      return { valid: false, error: 'rating must be an integer from 1 to 5' };
+    }
+
+    if (!Array.isArray(reasons) || reasons.some(reason => !FEEDBACK_REASONS.includes(reason))) {
+      return { valid: false, error: `reasons must be a list of: ${FEEDBACK_REASONS.join(', ')}` };
+    }
+
+    if (comment !== null && comment !== undefined && typeof comment !== 'string') {
+      return { valid: false, error: 'comment must be a string' };
+    }
+
+    if (comment && comment.length > MAX_FEEDBACK_COMMENT_LENGTH) {
+      return { valid: false, error: `comment cannot exceed ${MAX_FEEDBACK_COMMENT_LENGTH} characters` };
+    }
+
+    return {
+      valid: true,
+      details: {
+        rating: rating ?? null,
+        reasons: [...new Set(reasons)],
+        comment: comment ? comment.trim() : null
+      }
+    };
+  }
+
+  /**
+   * Update feedback when user clicks thumbs up or thumbs down. Every vote is also appended to
+   * feedbackHistory, so a changed vote keeps its earlier versions.
    * @param {string} messageId - Message ID
    * @param {string} feedbackType - 'positive' or 'negative'
+   * @param {string} userId - Only update the record if it belongs to this user (optional)
+   * @param {Object} details - Optional { rating, reasons, comment }
    * @returns {Object} Update result
    */
-  async updateFeedback(messageId, feedbackType) {
+  async updateFeedback(messageId, feedbackType, userId = null, details = {}) {
     try {
       if (!messageId || !feedbackType) {
         throw new Error('messageId and feedbackType are required');
@@ -134,14 +248,30 @@ class AnalyticsService {
         throw new Error('feedbackType must be either "positive" or "negative"');
       }
 
-      const existingRecord = await this.analytics.findOne({ messageId: messageId });
+      const validation = AnalyticsService.validateFeedbackDetails(details);
+      if (!validation.valid) {
+        throw new Error(validation.error);
+      }
+      const { rating, reasons, comment } = validation.details;
+
+      const query = { messageId: messageId };
+      if (userId) {
+        query.userId = String(userId);
+      }
+
+      const existingRecord = await this.analytics.findOne(query);
       
       if (!existingRecord) {
         throw new Error('Analytics record not found for messageId: ' + messageId);
       }
 
+      const now = new Date();
       const updateFields = {
-        updatedAt: new Date()
+        feedbackRating: rating,
+        feedbackReasons: reasons,
+        feedbackComment: comment,
+        feedbackAt: now,
+        updatedAt: now
       };
 
       if (feedbackType === 'positive') {
@@ -154,17 +284,39 @@ class AnalyticsService {
 
       const result = await this.analytics.updateOne(
         { messageId: messageId },
-        { $set: updateFields }
+        {
+          $set: updateFields,
+          $push: {
+            feedbackHistory: { feedbackType, rating, reasons, comment, createdAt: now }
+          }
+        }
       );
 
       console.log(`Feedback updated for messageId ${messageId}: ${feedbackType}`);
+
+      if (feedbackType === 'negative' && !existingRecord.negativeFeedback && this.webhookService) {
+        this.webhookService.dispatch('feedback.negative', {
+          messageId: messageId,
+          userId: existingRecord.userId,
+          username: existingRecord.username,
+          question: existingRecord.question,
+          aiResponse: existingRecord.aiResponse,
+          rating: rating,
+          reasons: reasons,
+          comment: comment,
+          askedAt: existingRecord.createdAt
+        });
+      }
       
       return {
         success: true,
         messageId: messageId,
         feedbackType: feedbackType,
         positiveFeedback: updateFields.positiveFeedback,
-        negativeFeedback: updateFields.negativeFeedback
+        negativeFeedback: updateFields.negativeFeedback,
+        rating: rating,
+        reasons: reasons,
+        comment: comment
       };
     } catch (error) {
       console.error('Error updating feedback in analytics:', error);
@@ -172,6 +324,47 @@ class AnalyticsService {
     }
   }
 
+  /**
+   * Withdraw the user's thumbs up/down on an answer
+   * @param {string} messageId - Message ID
+   * @param {string} userId - Owner of the record
+   * @returns {Object} Update result
+   */
+  async clearFeedback(messageId, userId) {
+    try {
+      const now = new Date();
+      const result = await this.analytics.updateOne(
+        { messageId: messageId, userId: String(userId) },
+        {
+          $set: {
+            positiveFeedback: false,
+            negativeFeedback: false,
+            feedbackRating: null,
+            feedbackReasons: [],
+            feedbackComment: null,
+            feedbackAt: null,
+            updatedAt: now
+          },
+          $push: {
+            feedbackHistory: { feedbackType: null, rating: null, reasons: [], comment: null, createdAt: now }
+          }
+        }
+      );
+
+      if (result.matchedCount === 0) {
+        throw new Error('Analytics record not found for messageId: ' + messageId);
+      }
+
+      return {
+        success: true,
+        messageId: messageId
+      };
+    } catch (error) {
+      console.error('Error clearing feedback in analytics:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get analytics summary for a specific user
    * @param {string} userId - User ID
@@ -188,9 +381,11 @@ class AnalyticsService {
         {
           $group: {
             _id: null,
-            totalQuestions: { $sum: 1 },
+            totalQuestions: { $sum: AnalyticsService.questionCount() },
             positiveCount: { $sum: { $cond: ['$positiveFeedback', 1, 0] } },
-            negativeCount: { $sum: { $cond: ['$negativeFeedback', 1, 0] } }
+            negativeCount: { $sum: { $cond: ['$negativeFeedback', 1, 0] } },
+            averageRating: { $avg: '$feedbackRating' },
+            ratingCount: { $sum: { $cond: [{ $gt: ['$feedbackRating', null] }, 1, 0] } }
           }
         }
       ]).toArray();
@@ -198,9 +393,13 @@ class AnalyticsService {
       const result = stats.length > 0 ? stats[0] : {
         totalQuestions: 0,
         positiveCount: 0,
-        negativeCount: 0
+        negativeCount: 0,
+        averageRating: null,
+        ratingCount: 0
       };
 
+      const reasonCounts = await this.aggregateFeedbackReasons({ userId: userId });
+
       const firstRecord = await this.analytics.findOne({ userId: userId });
       const username = firstRecord ? firstRecord.username : null;
 
@@ -210,7 +409,10 @@ class AnalyticsService {
         username: username,
         totalQuestions: result.totalQuestions,
         positiveResponses: result.positiveCount,
-        negativeResponses: result.negativeCount
+        negativeResponses: result.negativeCount,
+        averageRating: this.roundRating(result.averageRating),
+        ratingCount: result.ratingCount,
+        reasonBreakdown: this.formatReasonBreakdown(reasonCounts)
       };
     } catch (error) {
       console.error('Error getting user summary:', error);
@@ -229,9 +431,11 @@ class AnalyticsService {
           $group: {
             _id: '$userId',
             username: { $first: '$username' },
-            totalQuestions: { $sum: 1 },
+            totalQuestions: { $sum: AnalyticsService.questionCount() },
             positiveCount: { $sum: { $cond: ['$positiveFeedback', 1, 0] } },
-            negativeCount: { $sum: { $cond: ['$negativeFeedback', 1, 0] } }
+            negativeCount: { $sum: { $cond: ['$negativeFeedback', 1, 0] } },
+            averageRating: { $avg: '$feedbackRating' },
+            ratingCount: { $sum: { $cond: [{ $gt: ['$feedbackRating', null] }, 1, 0] } }
           }
         },
         {
@@ -241,22 +445,320 @@ class AnalyticsService {
             username: 1,
             totalQuestions: 1,
             positiveResponses: '$positiveCount',
-            negativeResponses: '$negativeCount'
+            negativeResponses: '$negativeCount',
+            averageRating: 1,
+            ratingCount: 1
           }
         },
         { $sort: { totalQuestions: -1 } }
       ]).toArray();
 
+      const reasonCounts = await this.aggregateFeedbackReasons();
+      const reasonsByUser = new Map();
+      reasonCounts.forEach((row) => {
+        if (!reasonsByUser.has(row._id.userId)) {
+          reasonsByUser.set(row._id.userId, []);
+        }
+        reasonsByUser.get(row._id.userId).push(row);
+      });
+
+      const users = stats.map(user => ({
+        ...user,
+        averageRating: this.roundRating(user.averageRating),
+        reasonBreakdown: this.formatReasonBreakdown(reasonsByUser.get(user.userId) || [])
+      }));
+
       return {
         success: true,
-        totalUsers: stats.length,
-        users: stats
+        totalUsers: users.length,
+        reasonBreakdown: this.formatReasonBreakdown(reasonCounts),
+        users: users
       };
     } catch (error) {
       console.error('Error getting all users summary:', error);
       throw error;
     }
   }
+
+  /**
+   * Questions, answers, feedback and escalations per hour, day or week, with the same figures for the
+   * period of equal length just before `from`
+   * @param {Object} options - { from, to, interval: 'hour' | 'day' | 'week', timezone, userId (optional), compare }
+   * @returns {Object} { interval, timezone, current: { from, to, totals, buckets }, previous, change }
+   */
+  async getTimeSeries({ from, to, interval = 'day', timezone = 'UTC', userId = null, compare = true }) {
+    try {
+      const current = await this.getPeriodSeries(from, to, interval, timezone, userId);
+      const result = {
+        success: true,
+        interval: interval,
+        timezone: timezone,
+        current: current
+      };
+
+      if (compare) {
+        const previousFrom = new Date(from.getTime() - (to.getTime() - from.getTime()));
+        result.previous = await this.getPeriodSeries(previousFrom, from, interval, timezone, userId);
+        result.change = {};
+        TIME_SERIES_METRICS.forEach((metric) => {
+          const before = result.previous.totals[metric];
+          result.change[metric] = before > 0
+            ? Math.round(((current.totals[metric] - before) / before) * 100)
+            : null;
+        });
+      }
+
+      return result;
+    } catch (error) {
+      console.error('Error getting analytics time series:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * $dateTrunc expression grouping createdAt the same way utils/timeBuckets lists the buckets
+   */
+  dateBucketKey(interval, timezone) {
+    return {
+      $dateTrunc: {
+        date: '$createdAt',
+        unit: interval,
+        timezone: timezone,
+        ...(interval === 'week' ? { startOfWeek: 'monday' } : {})
+      }
+    };
+  }
+
+  async getPeriodSeries(from, to, interval, timezone, userId) {
+    const bucketStarts = listBuckets(from, to, interval, timezone, MAX_TIME_SERIES_BUCKETS);
+    const bucketKey = this.dateBucketKey(interval, timezone);
+    const createdAt = { $gte: from, $lt: to };
+
+    const analyticsMatch = { createdAt };
+    const escalationMatch = { createdAt };
+    if (userId) {
+      analyticsMatch.userId = String(userId);
+      escalationMatch.userId = ObjectId.isValid(userId) ? new ObjectId(userId) : userId;
+    }
+
+    const [chatRows, escalationRows] = await Promise.all([
+      this.analytics.aggregate([
+        { $match: analyticsMatch },
+        {
+          $group: {
+            _id: bucketKey,
+            questions: { $sum: AnalyticsService.questionCount() },
+            aiResponses: { $sum: { $cond: [{ $gt: ['$aiResponse', null] }, 1, 0] } },
+            positive: { $sum: { $cond: ['$positiveFeedback', 1, 0] } },
+            negative: { $sum: { $cond: ['$negativeFeedback', 1, 0] } }
+          }
+        }
+      ]).toArray(),
+      this.escalations.aggregate([
+        { $match: escalationMatch },
+        { $group: { _id: bucketKey, escalations: { $sum: 1 } } }
+      ]).toArray()
+    ]);
+
+    const byBucket = new Map();
+    bucketStarts.forEach((start) => {
+      byBucket.set(start.getTime(), { start: start, questions: 0, aiResponses: 0, positive: 0, negative: 0, escalations: 0 });
+    });
+
+    [...chatRows, ...escalationRows].forEach((row) => {
+      const bucket = byBucket.get(new Date(row._id).getTime());
+      if (bucket) {
+        TIME_SERIES_METRICS.forEach((metric) => {
+          if (row[metric] !== undefined) {
+            bucket[metric] = row[metric];
+          }
+        });
+      }
+    });
+
+    const totals = { questions: 0, aiResponses: 0, positive: 0, negative: 0, escalations: 0 };
+    const buckets = [...byBucket.values()].map((bucket) => {
+      TIME_SERIES_METRICS.forEach((metric) => {
+        totals[metric] += bucket[metric];
+      });
+      return { ...bucket, ...this.feedbackRates(bucket) };
+    });
+
+    return {
+      from: from,
+      to: to,
+      totals: { ...totals, ...this.feedbackRates(totals) },
+      buckets: buckets
+    };
+  }
+
+  /**
+   * Store how the AI backend call for a question went
+   * @param {string} messageId - Message ID
+   * @param {Object} metrics - { backend, latencyMs, firstByteMs, httpStatus, errorCategory, retryCount,
+   *   requestChars, contextTurns, contextChars, responseChars }
+   * @returns {Object} Update result
+   */
+  async recordUpstreamMetrics(messageId, metrics) {
+    try {
+      const result = await this.analytics.updateOne(
+        { messageId: messageId },
+        { $set: { upstream: metrics, updatedAt: new Date() } }
+      );
+
+      if (result.matchedCount === 0) {
+        throw new Error('Analytics record not found for messageId: ' + messageId);
+      }
+
+      return {
+        success: true,
+        messageId: messageId
+      };
+    } catch (error) {
+      console.error('Error recording upstream metrics:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * AI backend latency percentiles and error rates per hour, day or week. Percentiles only cover successful calls;
+   * cancelled calls are excluded from the error rate. Uses $percentile, which needs MongoDB 7.0 or later.
+   * @param {Object} options - { from, to, interval: 'hour' | 'day' | 'week', timezone, backend (optional) }
+   * @returns {Object} { interval, timezone, from, to, totals, buckets }
+   */
+  async getUpstreamStats({ from, to, interval = 'day', timezone = 'UTC', backend = null }) {
+    try {
+      if (!this.supportsPercentile) {
+        throw new Error('Upstream statistics require MongoDB 7.0 or later');
+      }
+
+      const bucketStarts = listBuckets(from, to, interval, timezone, MAX_TIME_SERIES_BUCKETS);
+      const match = { createdAt: { $gte: from, $lt: to }, upstream: { $exists: true } };
+      if (backend) {
+        match['upstream.backend'] = backend;
+      }
+
+      const accumulators = {
+        calls: { $sum: { $cond: [{ $eq: ['$upstream.errorCategory', 'cancelled'] }, 0, 1] } },
+        cancelled: { $sum: { $cond: [{ $eq: ['$upstream.errorCategory', 'cancelled'] }, 1, 0] } },
+        latency: {
+          $percentile: {
+            input: { $cond: [{ $gt: ['$upstream.errorCategory', null] }, null, '$upstream.latencyMs'] },
+            p: [0.5, 0.95, 0.99],
+            method: 'approximate'
+          }
+        },
+        averageRetries: { $avg: '$upstream.retryCount' },
+        averageResponseChars: { $avg: '$upstream.responseChars' },
+        averageContextChars: { $avg: '$upstream.contextChars' }
+      };
+      UPSTREAM_ERROR_CATEGORIES.forEach((category) => {
+        accumulators[category] = { $sum: { $cond: [{ $eq: ['$upstream.errorCategory', category] }, 1, 0] } };
+      });
+
+      const [facets] = await this.analytics.aggregate([
+        { $match: match },
+        {
+          $facet: {
+            buckets: [{ $group: { _id: this.dateBucketKey(interval, timezone), ...accumulators } }],
+            totals: [{ $group: { _id: null, ...accumulators } }]
+          }
+        }
+      ]).toArray();
+
+      const rowsByBucket = new Map(facets.buckets.map(row => [new Date(row._id).getTime(), row]));
+
+      return {
+        success: true,
+        interval: interval,
+        timezone: timezone,
+        from: from,
+        to: to,
+        totals: this.formatUpstreamStats(facets.totals[0]),
+        buckets: bucketStarts.map(start => ({
+          start: start,
+          ...this.formatUpstreamStats(rowsByBucket.get(start.getTime()))
+        }))
+      };
+    } catch (error) {
+      console.error('Error getting upstream stats:', error);
+      throw error;
+    }
+  }
+
+  formatUpstreamStats(row) {
+    const errorsByCategory = {};
+    UPSTREAM_ERROR_CATEGORIES.forEach((category) => {
+      errorsByCategory[category] = row ? row[category] : 0;
+    });
+
+    const calls = row ? row.calls : 0;
+    const errors = Object.values(errorsByCategory).reduce((total, count) => total + count, 0);
+    const [p50, p95, p99] = row && row.latency ? row.latency.map(value => (value === null ? null : Math.round(value))) : [null, null, null];
+
+    return {
+      calls: calls,
+      cancelled: row ? row.cancelled : 0,
+      errors: errors,
+      errorRate: calls > 0 ? Math.round((errors / calls) * 10000) / 100 : null,
+      errorsByCategory: errorsByCategory,
+      latencyMs: { p50, p95, p99 },
+      averageRetries: row && row.averageRetries !== null ? Math.round(row.averageRetries * 100) / 100 : null,
+      averageResponseChars: row && row.averageResponseChars !== null ? Math.round(row.averageResponseChars) : null,
+      averageContextChars: row && row.averageContextChars !== null ? Math.round(row.averageContextChars) : null
+    };
+  }
+
+  /**
+   * Thumbs up/down as percentages of the answers that received feedback
+   */
+  feedbackRates({ positive, negative }) {
+    const rated = positive + negative;
+    return {
+      positiveRate: rated > 0 ? Math.round((positive / rated) * 100) : null,
+      negativeRate: rated > 0 ? Math.round((negative / rated) * 100) : null
+    };
+  }
+
+  /**
+   * Count feedback reasons per user
+   * @param {Object} match - Extra filter on the analytics records
+   * @returns {Array} Rows of { _id: { userId, reason }, count }
+   */
+  async aggregateFeedbackReasons(match = {}) {
+    return this.analytics.aggregate([
+      { $match: { ...match, 'feedbackReasons.0': { $exists: true } } },
+      { $unwind: '$feedbackReasons' },
+      {
+        $group: {
+          _id: { userId: '$userId', reason: '$feedbackReasons' },
+          count: { $sum: 1 }
+        }
+      }
+    ]).toArray();
+  }
+
+  /**
+   * Sum reason rows into { inaccurate, incomplete, unsafe, irrelevant, 'too-slow' } counts
+   */
+  formatReasonBreakdown(rows) {
+    const breakdown = {};
+    FEEDBACK_REASONS.forEach((reason) => {
+      breakdown[reason] = 0;
+    });
+
+    rows.forEach((row) => {
+      if (breakdown[row._id.reason] !== undefined) {
+        breakdown[row._id.reason] += row.count;
+      }
+    });
+
+    return breakdown;
+  }
+
+  roundRating(rating) {
+    return typeof rating === 'number' ? Math.round(rating * 100) / 100 : null;
+  }
 }
 
 module.exports = AnalyticsService;
@@ -0,0 +1,265 @@
+const { parsePagination } = require('../utils/pagination');
+
+// Message types stored in a conversation; anything else a client sends stays out of the history
+const HISTORY_MESSAGE_TYPES = [
+  'chat', 'ai-response', 'agent-message',
+  'system', 'human-escalation-response', 'handoff-started', 'handoff-ended'
+];
+
+// Fields kept from a message when it is stored
+const HISTORY_FIELDS = [
+  'type', 'from', 'message', 'messageId', 'timestamp',
+  'degraded', 'handledBy', 'patient_context',
+  'escalationId', 'status', 'priorityLevel', 'agentName', 'agentId', 'reason'
+];
+
+class ConversationService {
+  constructor(authService) {
+    this.authService = authService;
+    this.db = null;
+    this.conversations = null;
+  }
+
+  async initialize() {
+    if (!this.authService.db) {
+      throw new Error('MongoDB connection not established. Please ensure AuthService is connected.');
+    }
+
+    this.db = this.authService.db;
+    this.conversations = this.db.collection('conversations');
+
+    await this.createIndexes();
+    console.log('ConversationService initialized successfully');
+  }
+
+  async createIndexes() {
+    try {
+      await this.conversations.createIndex({ conversationId: 1 }, { unique: true });
+
+      await this.conversations.createIndex({ userId: 1, updatedAt: -1 });
+
+      console.log('Conversation collection indexes created successfully');
+    } catch (error) {
+      console.error('Error creating conversation indexes:', error);
+    }
+  }
+
+  static isHistoryMessage(message) {
+    return !!message && HISTORY_MESSAGE_TYPES.includes(message.type);
+  }
+
+  /**
+   * The stored shape of a message: only HISTORY_FIELDS are kept
+   */
+  toHistoryEntry(message) {
+    const entry = {};
+    HISTORY_FIELDS.forEach((field) => {
+      if (message[field] !== undefined) {
+        entry[field] = message[field];
+      }
+    });
+    return entry;
+  }
+
+  /**
+   * Append a session message to a conversation, creating the conversation on first write
+   * @param {string} conversationId - Conversation ID
+   * @param {string} userId - Owner's user ID
+   * @param {string} username - Owner's username
+   * @param {Object} message - Message in the shape stored in the WebSocket session
+   * @returns {Object} Update result
+   */
+  async appendMessage(conversationId, userId, username, message) {
+    try {
+      if (!conversationId || !userId || !message) {
+        throw new Error('conversationId, userId and message are required');
+      }
+
+      if (!ConversationService.isHistoryMessage(message)) {
+        throw new Error(`Message type ${message.type} is not stored in conversation history`);
+      }
+
+      const now = new Date();
+      const setOnInsert = {
+        userId: userId,
+        username: username,
+        createdAt: now
+      };
+
+      const entry = this.toHistoryEntry(message);
+      if (entry.from === 'user' && typeof entry.message === 'string') {
+        setOnInsert.title = entry.message.substring(0, 100);
+      }
+
+      await this.conversations.updateOne(
+        { conversationId: conversationId, userId: userId },
+        {
+          $push: { messages: { ...entry, timestamp: entry.timestamp || now } },
+          $inc: { messageCount: 1 },
+          $set: { updatedAt: now, lastMessageAt: now },
+          $setOnInsert: setOnInsert
+        },
+        { upsert: true }
+      );
+
+      return {
+        success: true,
+        conversationId: conversationId
+      };
+    } catch (error) {
+      console.error('Error appending message to conversation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List a user's conversations without their messages, most recently active first
+   * @param {string} userId - User ID
+   * @param {number} page - Page number (1-based)
+   * @param {number} limit - Conversations per page
+   * @returns {Object} Conversations and pagination info
+   */
+  async getUserConversations(userId, requestedPage = 1, requestedLimit = 20) {
+    try {
+      const { page, limit, skip } = parsePagination(requestedPage, requestedLimit, { defaultLimit: 20, maxLimit: 100 });
+      const query = { userId: userId };
+
+      const totalCount = await this.conversations.countDocuments(query);
+
+      const conversations = await this.conversations.find(query)
+        .project({ messages: 0 })
+        .sort({ updatedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .toArray();
+
+      return {
+        success: true,
+        conversations,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(totalCount / limit),
+          totalCount,
+          limit
+        }
+      };
+    } catch (error) {
+      console.error('Error fetching user conversations:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch one conversation with a page of its messages in chronological order
+   * @param {string} conversationId - Conversation ID
+   * @param {string} userId - Owner's user ID
+   * @param {number} page - Page number (1-based)
+   * @param {number} limit - Messages per page
+   * @returns {Object|null} Conversation with paginated messages, or null if not found
+   */
+  async getConversation(conversationId, userId, requestedPage = 1, requestedLimit = 50) {
+    try {
+      const { page, limit, skip } = parsePagination(requestedPage, requestedLimit, { defaultLimit: 50, maxLimit: 200 });
+
+      const conversation = await this.conversations.findOne(
+        { conversationId: conversationId, userId: userId },
+        { projection: { messages: { $slice: [skip, limit] } } }
+      );
+
+      if (!conversation) {
+        return null;
+      }
+
+      const totalCount = conversation.messageCount || 0;
+
+      return {
+        success: true,
+        conversation,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(totalCount / limit),
+          totalCount,
+          limit
+        }
+      };
+    } catch (error) {
+      console.error('Error fetching conversation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load what a reconnecting client needs to resume a conversation.
+   * A chat turn and its answer share a messageId. With lastMessageType the entry is matched on both; without it the
+   * earliest entry with the id is used, so resuming with the id from `message-accepted` replays the answer.
+   * An unknown lastMessageId is reported as a gap and the most recent frames are replayed instead.
+   * @param {string} conversationId - Conversation ID
+   * @param {string} userId - User ID from the JWT; conversations owned by other users are not returned
+   * @param {string} lastMessageId - Last messageId the client received (optional)
+   * @param {Object} options - { contextSize, replayLimit, lastMessageType }
+   * @returns {Object|null} { conversationId, recentMessages, missedMessages, gap }, or null if not found
+   */
+  async getResumeState(conversationId, userId, lastMessageId = null, { contextSize = 10, replayLimit = 50, lastMessageType = null } = {}) {
+    try {
+      const conversation = await this.conversations.findOne(
+        { conversationId: conversationId, userId: userId },
+        { projection: { conversationId: 1, messages: 1 } }
+      );
+
+      if (!conversation) {
+        return null;
+      }
+
+      const messages = conversation.messages || [];
+      const replayable = entries => entries.filter(message => message.from !== 'user').slice(-replayLimit);
+      let missedMessages = [];
+      let gap = false;
+
+      if (lastMessageId) {
+        const lastIndex = lastMessageType
+          ? messages.findLastIndex(message => message.messageId === lastMessageId && message.type === lastMessageType)
+          : messages.findIndex(message => message.messageId === lastMessageId);
+
+        if (lastIndex === -1) {
+          gap = true;
+          missedMessages = replayable(messages);
+        } else {
+          missedMessages = replayable(messages.slice(lastIndex + 1));
+        }
+      }
+
+      return {
+        conversationId: conversation.conversationId,
+        recentMessages: messages.slice(-contextSize),
+        missedMessages,
+        gap
+      };
+    } catch (error) {
+      console.error('Error loading conversation resume state:', error);
+      throw error;
+    }
+  }
+
+  async deleteConversation(conversationId, userId) {
+    try {
+      const result = await this.conversations.deleteOne({
+        conversationId: conversationId,
+        userId: userId
+      });
+
+      if (result.deletedCount === 0) {
+        throw new Error('Conversation not found or unauthorized');
+      }
+
+      return {
+        success: true,
+        message: 'Conversation deleted successfully'
+      };
+    } catch (error) {
+      console.error('Error deleting conversation:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = ConversationService;
@@ -1,10 +1,47 @@
+const { EventEmitter } = require('events');
 const { ObjectId } = require('mongodb');
-
-class EscalationService {
+const { hasPermission } = require('../utils/permissions');
+const { metrics } = require('../utils/metrics');
+
+const VALID_STATUSES = ['open', 'in-progress', 'resolved'];
+const PRIORITY_LEVELS = ['low', 'medium', 'high', 'urgent'];
+
+// Default SLA targets in minutes: time until the first staff response and until resolution
+const DEFAULT_SLA_TARGETS = {
+  urgent: { responseMinutes: 15, resolveMinutes: 240 },
+  high: { responseMinutes: 60, resolveMinutes: 1440 },
+  medium: { responseMinutes: 240, resolveMinutes: 2880 },
+  low: { responseMinutes: 1440, resolveMinutes: 10080 }
+};
+
+/**
+ * SLA targets per priority, overridable with ESCALATION_SLA_<PRIORITY>_RESPONSE_MINUTES
+ * and ESCALATION_SLA_<PRIORITY>_RESOLVE_MINUTES
+ */
+const loadSlaTargets = () => {
+  const targets = {};
+  PRIORITY_LEVELS.forEach((priority) => {
+    const prefix = `ESCALATION_SLA_${priority.toUpperCase()}`;
+    targets[priority] = {
+      responseMinutes: parseInt(process.env[`${prefix}_RESPONSE_MINUTES`]) || DEFAULT_SLA_TARGETS[priority].responseMinutes,
+      resolveMinutes: parseInt(process.env[`${prefix}_RESOLVE_MINUTES`]) || DEFAULT_SLA_TARGETS[priority].resolveMinutes
+    };
+  });
+  return targets;
+};
+
+/**
+ * Emits 'escalation-created', 'escalation-updated' and 'escalation-overdue' with an escalation summary
+ * (see toEventPayload) so that live dashboards can be notified.
+ */
+class EscalationService extends EventEmitter {
   constructor(authService) {
+    super();
     this.authService = authService;
     this.db = null;
     this.escalations = null;
+    this.slaTargets = loadSlaTargets();
+    this.slaInterval = null;
   }
 
   async initialize() {
@@ -16,6 +53,11 @@ class EscalationService {
     this.escalations = this.db.collection('escalations');
 
     await this.createIndexes();
+    metrics.escalations.setCollector(async (gauge) => {
+      const counts = await this.countByStatusAndPriority();
+      gauge.reset();
+      counts.forEach(({ status, priorityLevel, count }) => gauge.set({ status, priority: priorityLevel }, count));
+    });
     console.log('EscalationService initialized successfully');
   }
 
@@ -28,6 +70,10 @@ class EscalationService {
       await this.escalations.createIndex({ priorityLevel: 1 });
 
       await this.escalations.createIndex({ status: 1 });
+
+      await this.escalations.createIndex({ assignedTo: 1, status: 1 });
+
+      await this.escalations.createIndex({ status: 1, 'sla.resolveDueAt': 1 });
       
       console.log('Escalation collection indexes created successfully');
     } catch (error) {
@@ -35,7 +81,16 @@ class EscalationService {
     }
   }
 
-  async createEscalation(userId, reason, contactNumber, priorityLevel) {
+  /**
+   * Create an escalation request
+   * @param {string} userId - Requesting user's ID
+   * @param {string} reason - Why the user needs a human
+   * @param {string} contactNumber - Phone number to reach the user
+   * @param {string} priorityLevel - low, medium, high or urgent
+   * @param {Object} details - Optional { source, conversationId, contactEmail, transcript }
+   * @returns {Object} Created escalation summary
+   */
+  async createEscalation(userId, reason, contactNumber, priorityLevel, details = {}) {
     try {
       if (!userId || !reason || !contactNumber || !priorityLevel) {
         throw new Error('UserId, reason, contactNumber, and priorityLevel are required');
@@ -54,26 +109,43 @@ class EscalationService {
         throw new Error('Contact number must be between 10 and 15 digits');
       }
 
-      const validPriorityLevels = ['low', 'medium', 'high', 'urgent'];
-      if (!validPriorityLevels.includes(priorityLevel.toLowerCase())) {
+      if (!PRIORITY_LEVELS.includes(priorityLevel.toLowerCase())) {
         throw new Error('Priority level must be one of: low, medium, high, urgent');
       }
 
+      const now = new Date();
+      const target = this.slaTargets[priorityLevel.toLowerCase()];
       const escalationData = {
         userId: new ObjectId(userId),
         reason: reason.trim(),
         contactNumber: contactNumberStr,
         priorityLevel: priorityLevel.toLowerCase(),
         status: 'open',
-        createdAt: new Date(),
-        updatedAt: new Date()
+        source: details.source || 'api',
+        conversationId: details.conversationId || null,
+        contactEmail: details.contactEmail || null,
+        transcript: Array.isArray(details.transcript) ? details.transcript : [],
+        assignedTo: null,
+        notes: [],
+        history: [this.buildHistoryEntry('created', userId, { status: 'open' }, now)],
+        sla: {
+          responseDueAt: new Date(now.getTime() + target.responseMinutes * 60000),
+          resolveDueAt: new Date(now.getTime() + target.resolveMinutes * 60000)
+        },
+        overdue: false,
+        createdAt: now,
+        updatedAt: now
       };
 
       const result = await this.escalations.insertOne(escalationData);
 
+      this.emit('escalation-created', this.toEventPayload({ ...escalationData, _id: result.insertedId }));
+
       return {
         success: true,
         escalationId: result.insertedId,
+        status: escalationData.status,
+        priorityLevel: escalationData.priorityLevel,
         message: 'Escalation request submitted successfully'
       };
     } catch (error) {
@@ -99,6 +171,12 @@ class EscalationService {
         query.userId = new ObjectId(filters.userId);
       }
 
+      if (filters.assignedTo === 'unassigned') {
+        query.assignedTo = null;
+      } else if (filters.assignedTo) {
+        query.assignedTo = new ObjectId(filters.assignedTo);
+      }
+
       if (filters.startDate || filters.endDate) {
         query.createdAt = {};
         if (filters.startDate) {
@@ -138,6 +216,20 @@ class EscalationService {
             contactNumber: 1,
             priorityLevel: 1,
             status: 1,
+            source: 1,
+            conversationId: 1,
+            contactEmail: 1,
+            transcript: 1,
+            assignedTo: 1,
+            notes: 1,
+            history: 1,
+            sla: 1,
+            overdue: 1,
+            slaBreaches: 1,
+            firstResponseAt: 1,
+            resolvedAt: 1,
+            timeToFirstResponseMs: { $subtract: ['$firstResponseAt', '$createdAt'] },
+            timeToResolveMs: { $subtract: ['$resolvedAt', '$createdAt'] },
             createdAt: 1,
             updatedAt: 1,
             'userDetails.username': 1,
@@ -169,7 +261,9 @@ class EscalationService {
 
       const totalCount = await this.escalations.countDocuments(query);
 
+      // Notes and the comments staff leave in the history are internal to staff
       const escalations = await this.escalations.find(query)
+        .project({ notes: 0, 'history.comment': 0 })
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(limit)
@@ -191,38 +285,320 @@ class EscalationService {
     }
   }
 
-  async updateEscalationStatus(escalationId, status, userId = null) {
+  /**
+   * Change an escalation's status and record the change in its history
+   * @param {string} escalationId - Escalation ID
+   * @param {string} status - open, in-progress or resolved
+   * @param {string} userId - Restrict the update to this owner's escalations (optional)
+   * @param {Object} options - { actorId, comment } recorded in the history entry
+   * @returns {Object} Update result
+   */
+  async updateEscalationStatus(escalationId, status, userId = null, { actorId = null, comment = null } = {}) {
     try {
-      const validStatuses = ['open', 'in-progress', 'resolved'];
-      if (!validStatuses.includes(status)) {
+      if (!VALID_STATUSES.includes(status)) {
         throw new Error('Invalid status. Must be one of: open, in-progress, resolved');
       }
 
+      if (!ObjectId.isValid(escalationId)) {
+        throw new Error('Escalation not found or unauthorized');
+      }
+
       const query = { _id: new ObjectId(escalationId) };
       if (userId) {
         query.userId = new ObjectId(userId);
       }
 
+      const now = new Date();
+      const historyEntry = this.buildHistoryEntry('status-changed', actorId || userId, { status, comment }, now);
+      const set = {
+        status,
+        // Resolving an already resolved escalation keeps the original resolution time; reopening clears it
+        resolvedAt: status === 'resolved' ? { $ifNull: ['$resolvedAt', now] } : null,
+        updatedAt: now,
+        history: { $concatArrays: [{ $ifNull: ['$history', []] }, { $literal: [historyEntry] }] }
+      };
+
+      if (status === 'resolved') {
+        set.overdue = false;
+      }
+
+      // Moving an escalation out of 'open' is a staff response; only the earliest one is kept
+      if (status !== 'open') {
+        set.firstResponseAt = { $ifNull: ['$firstResponseAt', now] };
+      }
+
+      // An update pipeline, so resolvedAt and firstResponseAt can depend on the stored values
+      const previous = await this.escalations.findOneAndUpdate(query, [{ $set: set }], { returnDocument: 'before' });
+
+      if (!previous) {
+        throw new Error('Escalation not found or unauthorized');
+      }
+
+      this.emit('escalation-updated', this.toEventPayload({
+        ...previous,
+        status,
+        updatedAt: now,
+        overdue: status === 'resolved' ? false : previous.overdue,
+        firstResponseAt: previous.firstResponseAt || (status !== 'open' ? now : null)
+      }, { change: 'status', previousStatus: previous.status, actorId }));
+
+      return {
+        success: true,
+        previousStatus: previous.status,
+        status,
+        message: 'Escalation status updated successfully'
+      };
+    } catch (error) {
+      console.error('Error updating escalation status:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Assign, reassign or unassign the agent responsible for an escalation
+   * @param {string} escalationId - Escalation ID
+   * @param {string|null} assigneeId - Staff user to assign, or null to unassign
+   * @param {string} actorId - User making the change
+   * @param {string} comment - Optional comment stored in the history entry
+   * @returns {Object} Assignment result
+   */
+  async assignEscalation(escalationId, assigneeId, actorId, comment = null) {
+    try {
+      let assignee = null;
+      if (assigneeId) {
+        if (!ObjectId.isValid(assigneeId)) {
+          throw new Error('Invalid assignee ID');
+        }
+
+        assignee = await this.authService.getUserById(assigneeId);
+        if (!assignee) {
+          throw new Error('Assignee not found');
+        }
+
+        if (!hasPermission({ ...assignee, userId: String(assignee._id) }, 'escalations:manage')) {
+          throw new Error('Assignee is not allowed to handle escalations');
+        }
+      }
+
+      const escalation = await this.getEscalationById(escalationId);
+      if (!escalation) {
+        throw new Error('Escalation not found');
+      }
+
+      const previousAssignee = escalation.assignedTo || null;
+      let action = 'assigned';
+      if (!assignee) {
+        action = 'unassigned';
+      } else if (previousAssignee) {
+        action = 'reassigned';
+      }
+
+      const now = new Date();
       const result = await this.escalations.updateOne(
-        query,
+        { _id: escalation._id, assignedTo: previousAssignee },
         {
           $set: {
-            status,
-            updatedAt: new Date()
+            assignedTo: assignee ? assignee._id : null,
+            updatedAt: now
+          },
+          // Assigning an escalation to someone counts as a staff response
+          ...(assignee && { $min: { firstResponseAt: now } }),
+          $push: {
+            history: this.buildHistoryEntry(action, actorId, {
+              assignedTo: assignee ? assignee._id : null,
+              previousAssignee,
+              comment
+            }, now)
           }
         }
       );
 
       if (result.matchedCount === 0) {
-        throw new Error('Escalation not found or unauthorized');
+        throw new Error('Escalation was reassigned by someone else, please retry');
       }
 
+      this.emit('escalation-updated', this.toEventPayload({
+        ...escalation,
+        assignedTo: assignee ? assignee._id : null,
+        firstResponseAt: escalation.firstResponseAt || (assignee ? now : null),
+        updatedAt: now
+      }, { change: action, previousAssignee, actorId }));
+
       return {
         success: true,
-        message: 'Escalation status updated successfully'
+        escalationId: escalation._id,
+        assignedTo: assignee ? assignee._id : null,
+        assigneeName: assignee ? assignee.username : null,
+        message: `Escalation ${action} successfully`
       };
     } catch (error) {
-      console.error('Error updating escalation status:', error);
+      console.error('Error assigning escalation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add an internal staff note to an escalation
+   * @param {string} escalationId - Escalation ID
+   * @param {string} authorId - Note author's user ID
+   * @param {string} text - Note text
+   * @returns {Object} The stored note
+   */
+  async addNote(escalationId, authorId, text) {
+    try {
+      if (!text || typeof text !== 'string' || text.trim().length === 0) {
+        throw new Error('Note text is required');
+      }
+
+      if (text.length > 2000) {
+        throw new Error('Note cannot exceed 2000 characters');
+      }
+
+      if (!ObjectId.isValid(escalationId)) {
+        throw new Error('Escalation not found');
+      }
+
+      const now = new Date();
+      const note = {
+        noteId: new ObjectId(),
+        authorId: new ObjectId(authorId),
+        text: text.trim(),
+        createdAt: now
+      };
+
+      const escalation = await this.escalations.findOneAndUpdate(
+        { _id: new ObjectId(escalationId) },
+        {
+          $push: { notes: note },
+          $set: { updatedAt: now },
+          // Notes are staff-only, so the first one counts as a staff response
+          $min: { firstResponseAt: now }
+        },
+        { returnDocument: 'after', projection: { transcript: 0, notes: 0, history: 0 } }
+      );
+
+      if (!escalation) {
+        throw new Error('Escalation not found');
+      }
+
+      this.emit('escalation-updated', this.toEventPayload(escalation, { change: 'note-added', actorId: authorId }));
+
+      return {
+        success: true,
+        note,
+        message: 'Note added successfully'
+      };
+    } catch (error) {
+      console.error('Error adding escalation note:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Summary of an escalation sent with events; transcript, notes and history are left out
+   * @param {Object} escalation - Escalation document
+   * @param {Object} details - Extra fields describing the event (change, actorId, ...)
+   * @returns {Object} Event payload
+   */
+  toEventPayload(escalation, details = {}) {
+    return {
+      escalationId: String(escalation._id),
+      userId: escalation.userId ? String(escalation.userId) : null,
+      reason: escalation.reason,
+      priorityLevel: escalation.priorityLevel,
+      status: escalation.status,
+      source: escalation.source,
+      conversationId: escalation.conversationId || null,
+      assignedTo: escalation.assignedTo ? String(escalation.assignedTo) : null,
+      sla: escalation.sla || null,
+      firstResponseAt: escalation.firstResponseAt || null,
+      overdue: !!escalation.overdue,
+      createdAt: escalation.createdAt,
+      updatedAt: escalation.updatedAt,
+      ...details,
+      ...(details.previousAssignee !== undefined && {
+        previousAssignee: details.previousAssignee ? String(details.previousAssignee) : null
+      }),
+      ...(details.actorId !== undefined && {
+        actorId: details.actorId ? String(details.actorId) : null
+      })
+    };
+  }
+
+  buildHistoryEntry(action, actorId, details = {}, timestamp = new Date()) {
+    return {
+      action,
+      actorId: actorId ? new ObjectId(actorId) : null,
+      ...details,
+      timestamp
+    };
+  }
+
+  async getEscalationById(escalationId) {
+    try {
+      if (!ObjectId.isValid(escalationId)) {
+        return null;
+      }
+
+      return await this.escalations.findOne({ _id: new ObjectId(escalationId) });
+    } catch (error) {
+      console.error('Error fetching escalation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Atomically assign an escalation to an agent taking over the live conversation.
+   * Open escalations can be claimed by anyone; in-progress ones only by the agent already assigned.
+   * @param {string} escalationId - Escalation ID
+   * @param {string} agentId - Claiming agent's user ID
+   * @returns {Object} Updated escalation document
+   */
+  async claimEscalation(escalationId, agentId) {
+    try {
+      const now = new Date();
+      const agentObjectId = new ObjectId(agentId);
+
+      const update = {
+        status: 'in-progress',
+        assignedTo: agentObjectId,
+        claimedAt: now,
+        updatedAt: now
+      };
+
+      const previous = await this.escalations.findOneAndUpdate(
+        {
+          _id: new ObjectId(escalationId),
+          $or: [
+            { status: 'open' },
+            { status: 'in-progress', assignedTo: agentObjectId }
+          ]
+        },
+        {
+          $set: update,
+          $min: { firstResponseAt: now },
+          $push: {
+            history: this.buildHistoryEntry('claimed', agentId, { status: 'in-progress', assignedTo: agentObjectId }, now)
+          }
+        },
+        { returnDocument: 'before' }
+      );
+
+      if (!previous) {
+        throw new Error('Escalation is not open or is already claimed');
+      }
+
+      const escalation = { ...previous, ...update, firstResponseAt: previous.firstResponseAt || now };
+
+      this.emit('escalation-updated', this.toEventPayload(escalation, {
+        change: 'claimed',
+        previousStatus: previous.status,
+        actorId: agentId
+      }));
+
+      return escalation;
+    } catch (error) {
+      console.error('Error claiming escalation:', error);
       throw error;
     }
   }
@@ -252,6 +628,7 @@ class EscalationService {
 
   async getEscalationStats() {
     try {
+      const now = new Date();
       const stats = await this.escalations.aggregate([
         {
           $facet: {
@@ -275,14 +652,51 @@ class EscalationService {
               {
                 $count: 'count'
               }
+            ],
+            sla: [
+              { $match: { 'sla.responseDueAt': { $exists: true } } },
+              {
+                $project: {
+                  priorityLevel: 1,
+                  overdue: 1,
+                  responded: { $ne: [{ $ifNull: ['$firstResponseAt', null] }, null] },
+                  resolved: { $eq: ['$status', 'resolved'] },
+                  // Unanswered or unresolved escalations count as breached once their due date has passed
+                  responseBreached: { $gt: [{ $ifNull: ['$firstResponseAt', now] }, '$sla.responseDueAt'] },
+                  resolveBreached: { $gt: [{ $ifNull: ['$resolvedAt', now] }, '$sla.resolveDueAt'] },
+                  timeToFirstResponseMs: { $subtract: ['$firstResponseAt', '$createdAt'] },
+                  timeToResolveMs: { $subtract: ['$resolvedAt', '$createdAt'] }
+                }
+              },
+              {
+                $group: {
+                  _id: '$priorityLevel',
+                  total: { $sum: 1 },
+                  overdue: { $sum: { $cond: ['$overdue', 1, 0] } },
+                  responseMeasured: { $sum: { $cond: [{ $or: ['$responded', '$responseBreached'] }, 1, 0] } },
+                  responseBreaches: { $sum: { $cond: ['$responseBreached', 1, 0] } },
+                  resolveMeasured: { $sum: { $cond: [{ $or: ['$resolved', '$resolveBreached'] }, 1, 0] } },
+                  resolveBreaches: { $sum: { $cond: ['$resolveBreached', 1, 0] } },
+                  avgTimeToFirstResponseMs: { $avg: '$timeToFirstResponseMs' },
+                  avgTimeToResolveMs: { $avg: '$timeToResolveMs' }
+                }
+              }
             ]
           }
         }
       ]).toArray();
 
+      const { sla, ...counts } = stats[0];
+
       return {
         success: true,
-        stats: stats[0]
+        stats: {
+          ...counts,
+          sla: {
+            targets: this.slaTargets,
+            byPriority: sla.map(this.formatSlaStats)
+          }
+        }
       };
     } catch (error) {
       console.error('Error fetching escalation stats:', error);
@@ -290,6 +704,130 @@ class EscalationService {
     }
   }
 
+  /**
+   * Escalation counts for every status and priority combination present
+   * @returns {Array} [{ status, priorityLevel, count }]
+   */
+  async countByStatusAndPriority() {
+    const groups = await this.escalations.aggregate([
+      {
+        $group: {
+          _id: { status: '$status', priorityLevel: '$priorityLevel' },
+          count: { $sum: 1 }
+        }
+      }
+    ]).toArray();
+
+    return groups.map(group => ({ ...group._id, count: group.count }));
+  }
+
+  formatSlaStats(group) {
+    const compliance = (measured, breaches) => (
+      measured > 0 ? Math.round(((measured - breaches) / measured) * 1000) / 10 : null
+    );
+
+    return {
+      priorityLevel: group._id,
+      total: group.total,
+      overdue: group.overdue,
+      responseBreaches: group.responseBreaches,
+      resolveBreaches: group.resolveBreaches,
+      responseCompliance: compliance(group.responseMeasured, group.responseBreaches),
+      resolveCompliance: compliance(group.resolveMeasured, group.resolveBreaches),
+      avgTimeToFirstResponseMs: group.avgTimeToFirstResponseMs === null ? null : Math.round(group.avgTimeToFirstResponseMs),
+      avgTimeToResolveMs: group.avgTimeToResolveMs === null ? null : Math.round(group.avgTimeToResolveMs)
+    };
+  }
+
+  /**
+   * Flag unresolved escalations that have passed their response or resolution due date.
+   * Each breach is recorded once, so several server instances can run the sweep safely.
+   * @returns {Array} Escalations newly flagged by this sweep, with the breach types
+   */
+  async sweepOverdueEscalations() {
+    const now = new Date();
+    const flagged = [];
+
+    const candidates = await this.escalations.find({
+      status: { $ne: 'resolved' },
+      $or: [
+        {
+          firstResponseAt: { $exists: false },
+          'sla.responseDueAt': { $lte: now },
+          'slaBreaches.response': { $exists: false }
+        },
+        {
+          'sla.resolveDueAt': { $lte: now },
+          'slaBreaches.resolve': { $exists: false }
+        }
+      ]
+    }).project({ transcript: 0, notes: 0, history: 0 }).toArray();
+
+    for (const escalation of candidates) {
+      const breaches = [];
+      const guard = { _id: escalation._id, status: { $ne: 'resolved' } };
+      const set = { overdue: true, updatedAt: now };
+
+      if (!escalation.firstResponseAt && escalation.sla.responseDueAt <= now && !(escalation.slaBreaches && escalation.slaBreaches.response)) {
+        breaches.push('response');
+        guard['slaBreaches.response'] = { $exists: false };
+        set['slaBreaches.response'] = now;
+      }
+
+      if (escalation.sla.resolveDueAt <= now && !(escalation.slaBreaches && escalation.slaBreaches.resolve)) {
+        breaches.push('resolve');
+        guard['slaBreaches.resolve'] = { $exists: false };
+        set['slaBreaches.resolve'] = now;
+      }
+
+      if (breaches.length === 0) {
+        continue;
+      }
+
+      const result = await this.escalations.updateOne(guard, {
+        $set: set,
+        $push: { history: this.buildHistoryEntry('sla-breached', null, { breaches }, now) }
+      });
+
+      if (result.modifiedCount > 0) {
+        flagged.push({ ...escalation, ...set, breaches });
+      }
+    }
+
+    return flagged;
+  }
+
+  /**
+   * Run sweepOverdueEscalations every ESCALATION_SLA_SWEEP_INTERVAL_MS (default 60000)
+   * @param {Function} onOverdue - Optional callback invoked with each newly flagged escalation
+   */
+  startSlaMonitor(onOverdue = null) {
+    const interval = parseInt(process.env.ESCALATION_SLA_SWEEP_INTERVAL_MS) || 60000;
+
+    this.slaInterval = setInterval(async () => {
+      try {
+        const flagged = await this.sweepOverdueEscalations();
+        flagged.forEach((escalation) => {
+          console.warn(`Escalation ${escalation._id} (${escalation.priorityLevel}) breached its ${escalation.breaches.join(' and ')} SLA`);
+          this.emit('escalation-overdue', this.toEventPayload(escalation, { breaches: escalation.breaches }));
+          if (onOverdue) {
+            onOverdue(escalation);
+          }
+        });
+      } catch (error) {
+        console.error('Error sweeping overdue escalations:', error);
+      }
+    }, interval);
+    this.slaInterval.unref();
+  }
+
+  stopSlaMonitor() {
+    if (this.slaInterval) {
+      clearInterval(this.slaInterval);
+      this.slaInterval = null;
+    }
+  }
+
   async healthCheck() {
     try {
       if (!this.db) {
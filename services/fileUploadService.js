@@ -1,4 +1,5 @@
 const { MongoClient, ObjectId } = require('mongodb');
+const { instrumentMongoClient } = require('../utils/metrics');
 require('dotenv').config();
 
 class FileUploadService {
@@ -10,7 +11,8 @@ class FileUploadService {
 
   async connect() {
     try {
-      this.client = new MongoClient(process.env.MONGODB_URI);
+      this.client = new MongoClient(process.env.MONGODB_URI, { monitorCommands: true });
+      instrumentMongoClient(this.client);
       await this.client.connect();
       this.db = this.client.db('chatbot_db');
       this.fileUploads = this.db.collection('file_uploads');
@@ -0,0 +1,508 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+const { ObjectId } = require('mongodb');
+const { parsePagination } = require('../utils/pagination');
+const { assertPublicUrl, publicOnlyLookup } = require('../utils/networkGuard');
+
+const WEBHOOK_EVENTS = ['escalation.created', 'escalation.status_changed', 'feedback.negative', 'file.uploaded'];
+
+/**
+ * Outbound webhooks: registered endpoints receive HMAC-signed JSON for the events they subscribe to.
+ * Every delivery is logged; failed deliveries are retried with exponential back-off by a background worker.
+ */
+class WebhookService {
+  constructor(authService) {
+    this.authService = authService;
+    this.db = null;
+    this.webhooks = null;
+    this.deliveries = null;
+    this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+    this.retryBaseMs = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 30000;
+    this.timeoutMs = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+    // Only for development against receivers on localhost or a private network
+    this.allowPrivateUrls = process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+    this.agents = this.allowPrivateUrls ? {} : {
+      httpAgent: new http.Agent({ lookup: publicOnlyLookup }),
+      httpsAgent: new https.Agent({ lookup: publicOnlyLookup })
+    };
+    this.workerInterval = null;
+  }
+
+  async initialize() {
+    if (!this.authService.db) {
+      throw new Error('MongoDB connection not established. Please ensure AuthService is connected.');
+    }
+
+    this.db = this.authService.db;
+    this.webhooks = this.db.collection('webhooks');
+    this.deliveries = this.db.collection('webhook_deliveries');
+
+    await this.createIndexes();
+    console.log('WebhookService initialized successfully');
+  }
+
+  async createIndexes() {
+    try {
+      await this.webhooks.createIndex({ events: 1, active: 1 });
+
+      await this.deliveries.createIndex({ webhookId: 1, createdAt: -1 });
+
+      await this.deliveries.createIndex({ status: 1, nextAttemptAt: 1 });
+
+      console.log('Webhook collection indexes created successfully');
+    } catch (error) {
+      console.error('Error creating webhook indexes:', error);
+    }
+  }
+
+  validateWebhookInput({ url, events }) {
+    if (url !== undefined) {
+      let parsed;
+      try {
+        parsed = new URL(url);
+      } catch (error) {
+        throw new Error('url must be a valid URL');
+      }
+      if (!['http:', 'https:'].includes(parsed.protocol)) {
+        throw new Error('url must use http or https');
+      }
+      if (!this.allowPrivateUrls) {
+        assertPublicUrl(url);
+      }
+    }
+
+    if (events !== undefined) {
+      if (!Array.isArray(events) || events.length === 0) {
+        throw new Error('events must be a non-empty array');
+      }
+      const unknown = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown events: ${unknown.join(', ')}. Must be one of: ${WEBHOOK_EVENTS.join(', ')}`);
+      }
+    }
+  }
+
+  /**
+   * Register an endpoint. The signing secret is only returned here.
+   * @param {Object} data - { url, events, description, secret (optional, generated if omitted) }
+   * @param {string} createdBy - Registering user's ID
+   * @returns {Object} Created webhook including its secret
+   */
+  async registerWebhook({ url, events, description = null, secret = null }, createdBy) {
+    try {
+      if (!url || !events) {
+        throw new Error('url and events are required');
+      }
+      this.validateWebhookInput({ url, events });
+
+      const now = new Date();
+      const webhook = {
+        url,
+        events: Array.from(new Set(events)),
+        description,
+        secret: secret || crypto.randomBytes(32).toString('hex'),
+        active: true,
+        createdBy: createdBy ? new ObjectId(createdBy) : null,
+        createdAt: now,
+        updatedAt: now
+      };
+
+      const result = await this.webhooks.insertOne(webhook);
+
+      return {
+        success: true,
+        webhook: { ...webhook, _id: result.insertedId },
+        message: 'Webhook registered successfully. Store the secret now; it is not shown again.'
+      };
+    } catch (error) {
+      console.error('Error registering webhook:', error);
+      throw error;
+    }
+  }
+
+  async listWebhooks() {
+    try {
+      const webhooks = await this.webhooks.find({})
+        .project({ secret: 0 })
+        .sort({ createdAt: -1 })
+        .toArray();
+
+      return {
+        success: true,
+        webhooks
+      };
+    } catch (error) {
+      console.error('Error listing webhooks:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update an endpoint's url, events, description or active flag
+   * @param {string} webhookId - Webhook ID
+   * @param {Object} changes - Fields to update
+   * @returns {Object} Updated webhook (without secret)
+   */
+  async updateWebhook(webhookId, changes) {
+    try {
+      this.validateWebhookInput(changes);
+
+      const update = { updatedAt: new Date() };
+      ['url', 'events', 'description'].forEach((field) => {
+        if (changes[field] !== undefined) {
+          update[field] = changes[field];
+        }
+      });
+      if (changes.active !== undefined) {
+        update.active = changes.active === true;
+      }
+
+      const webhook = await this.webhooks.findOneAndUpdate(
+        { _id: new ObjectId(webhookId) },
+        { $set: update },
+        { returnDocument: 'after', projection: { secret: 0 } }
+      );
+
+      if (!webhook) {
+        throw new Error('Webhook not found');
+      }
+
+      return {
+        success: true,
+        webhook
+      };
+    } catch (error) {
+      console.error('Error updating webhook:', error);
+      throw error;
+    }
+  }
+
+  async deleteWebhook(webhookId) {
+    try {
+      const result = await this.webhooks.deleteOne({ _id: new ObjectId(webhookId) });
+
+      if (result.deletedCount === 0) {
+        throw new Error('Webhook not found');
+      }
+
+      await this.deliveries.deleteMany({ webhookId: new ObjectId(webhookId) });
+
+      return {
+        success: true,
+        message: 'Webhook deleted successfully'
+      };
+    } catch (error) {
+      console.error('Error deleting webhook:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Queue an event for every active webhook subscribed to it and attempt delivery right away.
+   * Never throws: a webhook problem must not fail the operation that raised the event.
+   * @param {string} event - One of WEBHOOK_EVENTS
+   * @param {Object} data - Event payload
+   */
+  async dispatch(event, data) {
+    try {
+      if (!this.webhooks) {
+        return;
+      }
+
+      const webhooks = await this.webhooks.find({ events: event, active: true }).toArray();
+
+      for (const webhook of webhooks) {
+        const delivery = await this.createDelivery(webhook._id, event, data);
+        this.attemptDelivery(delivery, webhook).catch((error) => {
+          console.error(`Webhook delivery ${delivery._id} failed unexpectedly:`, error);
+        });
+      }
+    } catch (error) {
+      console.error(`Error dispatching webhook event ${event}:`, error);
+    }
+  }
+
+  async createDelivery(webhookId, event, data, redeliveryOf = null) {
+    const now = new Date();
+    const delivery = {
+      webhookId,
+      event,
+      payload: data,
+      status: 'sending',
+      attempts: 0,
+      attemptLog: [],
+      redeliveryOf,
+      nextAttemptAt: now,
+      lockedUntil: new Date(now.getTime() + this.timeoutMs * 2),
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const result = await this.deliveries.insertOne(delivery);
+    return { ...delivery, _id: result.insertedId };
+  }
+
+  /**
+   * Sign a request body: hex HMAC-SHA256 of "<timestamp>.<body>" with the webhook secret
+   */
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * POST one delivery and record the outcome. Callers must have set the delivery to 'sending'.
+   * @param {Object} delivery - Delivery document
+   * @param {Object} webhook - Webhook document (loaded if omitted)
+   */
+  async attemptDelivery(delivery, webhook = null) {
+    if (!webhook) {
+      webhook = await this.webhooks.findOne({ _id: delivery.webhookId });
+    }
+
+    const attempt = delivery.attempts + 1;
+
+    if (!webhook || !webhook.active) {
+      await this.deliveries.updateOne(
+        { _id: delivery._id },
+        { $set: { status: 'cancelled', lastError: 'Webhook removed or disabled', updatedAt: new Date() } }
+      );
+      return;
+    }
+
+    const timestamp = Math.floor(Date.now() / 1000);
+    const body = JSON.stringify({
+      id: String(delivery._id),
+      event: delivery.event,
+      createdAt: delivery.createdAt,
+      data: delivery.payload
+    });
+
+    const startedAt = Date.now();
+    let responseStatus = null;
+    let errorMessage = null;
+
+    try {
+      // Webhooks registered before private addresses were rejected are checked on every attempt
+      if (!this.allowPrivateUrls) {
+        assertPublicUrl(webhook.url);
+      }
+
+      const response = await axios.post(webhook.url, body, {
+        ...this.agents,
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'chatbot-server-webhooks',
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Delivery': String(delivery._id),
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': `sha256=${this.sign(webhook.secret, timestamp, body)}`
+        },
+        timeout: this.timeoutMs,
+        maxRedirects: 0,
+        validateStatus: () => true
+      });
+
+      responseStatus = response.status;
+      if (response.status < 200 || response.status >= 300) {
+        errorMessage = `HTTP ${response.status}`;
+      }
+    } catch (error) {
+      errorMessage = error.code || error.message;
+    }
+
+    const now = new Date();
+    const logEntry = {
+      attempt,
+      responseStatus,
+      error: errorMessage,
+      durationMs: Date.now() - startedAt,
+      attemptedAt: now
+    };
+
+    const update = {
+      attempts: attempt,
+      lastResponseStatus: responseStatus,
+      lastError: errorMessage,
+      lockedUntil: null,
+      updatedAt: now
+    };
+
+    if (!errorMessage) {
+      update.status = 'delivered';
+      update.deliveredAt = now;
+      update.nextAttemptAt = null;
+    } else if (attempt < this.maxAttempts) {
+      update.status = 'pending';
+      update.nextAttemptAt = new Date(now.getTime() + this.retryBaseMs * Math.pow(2, attempt - 1));
+    } else {
+      update.status = 'failed';
+      update.nextAttemptAt = null;
+      console.warn(`Webhook delivery ${delivery._id} (${delivery.event}) to ${webhook.url} failed after ${attempt} attempts`);
+    }
+
+    await this.deliveries.updateOne(
+      { _id: delivery._id },
+      {
+        $set: update,
+        $push: { attemptLog: logEntry }
+      }
+    );
+  }
+
+  /**
+   * Retry deliveries whose back-off has elapsed, and recover ones left 'sending' by a crashed instance.
+   * Each delivery is claimed atomically, so several server instances can run the worker.
+   * @returns {number} Number of deliveries attempted
+   */
+  async processPendingDeliveries(batchSize = 20) {
+    let processed = 0;
+
+    while (processed < batchSize) {
+      const now = new Date();
+      const delivery = await this.deliveries.findOneAndUpdate(
+        {
+          $or: [
+            { status: 'pending', nextAttemptAt: { $lte: now } },
+            { status: 'sending', lockedUntil: { $lte: now } }
+          ]
+        },
+        {
+          $set: {
+            status: 'sending',
+            lockedUntil: new Date(now.getTime() + this.timeoutMs * 2),
+            updatedAt: now
+          }
+        },
+        { returnDocument: 'after' }
+      );
+
+      if (!delivery) {
+        break;
+      }
+
+      await this.attemptDelivery(delivery);
+      processed++;
+    }
+
+    return processed;
+  }
+
+  /**
+   * Run processPendingDeliveries every WEBHOOK_RETRY_INTERVAL_MS (default 15000)
+   */
+  startDeliveryWorker() {
+    const interval = parseInt(process.env.WEBHOOK_RETRY_INTERVAL_MS) || 15000;
+
+    this.workerInterval = setInterval(async () => {
+      try {
+        await this.processPendingDeliveries();
+      } catch (error) {
+        console.error('Error processing webhook deliveries:', error);
+      }
+    }, interval);
+    this.workerInterval.unref();
+  }
+
+  stopDeliveryWorker() {
+    if (this.workerInterval) {
+      clearInterval(this.workerInterval);
+      this.workerInterval = null;
+    }
+  }
+
+  /**
+   * Delivery log for one webhook, newest first. A delivery shows 'sending' while an attempt is in flight; if the
+   * instance making the attempt dies it stays 'sending' until its lockedUntil passes and the delivery worker of any
+   * instance picks it up again.
+   * @param {string} webhookId - Webhook ID
+   * @param {number} requestedPage - Page number (1-based)
+   * @param {number} requestedLimit - Deliveries per page (at most 100)
+   * @param {string} status - Optional status filter (sending, pending, delivered, failed, cancelled)
+   * @returns {Object} Deliveries and pagination info
+   */
+  async getDeliveries(webhookId, requestedPage = 1, requestedLimit = 20, status = null) {
+    try {
+      const { page, limit, skip } = parsePagination(requestedPage, requestedLimit, { defaultLimit: 20, maxLimit: 100 });
+      const query = { webhookId: new ObjectId(webhookId) };
+      if (status) {
+        query.status = status;
+      }
+
+      const totalCount = await this.deliveries.countDocuments(query);
+
+      const deliveries = await this.deliveries.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .toArray();
+
+      return {
+        success: true,
+        deliveries,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(totalCount / limit),
+          totalCount,
+          limit
+        }
+      };
+    } catch (error) {
+      console.error('Error fetching webhook deliveries:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send a logged delivery's payload again as a new delivery
+   * @param {string} deliveryId - Original delivery ID
+   * @returns {Object} The new delivery's ID
+   */
+  async redeliver(deliveryId) {
+    try {
+      const original = await this.deliveries.findOne({ _id: new ObjectId(deliveryId) });
+      if (!original) {
+        throw new Error('Delivery not found');
+      }
+
+      const webhook = await this.webhooks.findOne({ _id: original.webhookId });
+      if (!webhook) {
+        throw new Error('Webhook not found');
+      }
+
+      const delivery = await this.createDelivery(webhook._id, original.event, original.payload, original._id);
+      this.attemptDelivery(delivery, webhook).catch((error) => {
+        console.error(`Webhook redelivery ${delivery._id} failed unexpectedly:`, error);
+      });
+
+      return {
+        success: true,
+        deliveryId: delivery._id,
+        redeliveryOf: original._id,
+        message: 'Redelivery queued'
+      };
+    } catch (error) {
+      console.error('Error redelivering webhook:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Forward escalation events to webhooks
+   * @param {EscalationService} escalationService - Service emitting escalation events
+   */
+  attachEscalationEvents(escalationService) {
+    escalationService.on('escalation-created', (escalation) => {
+      this.dispatch('escalation.created', escalation);
+    });
+
+    escalationService.on('escalation-updated', (escalation) => {
+      if (['status', 'claimed'].includes(escalation.change) && escalation.previousStatus !== escalation.status) {
+        this.dispatch('escalation.status_changed', escalation);
+      }
+    });
+  }
+}
+
+module.exports = WebhookService;
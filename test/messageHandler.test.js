@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough } = require('stream');
+const MessageHandler = require('../messageHandler');
+
+const createWsServer = () => {
+  const frames = [];
+  return { frames, sendMessage: (clientId, frame) => frames.push(frame) };
+};
+
+test('relayStream relays tokens and resolves with the full answer', async () => {
+  const handler = new MessageHandler();
+  const wsServer = createWsServer();
+  const stream = new PassThrough();
+
+  const relayed = handler.relayStream('client', stream, 'ndjson', wsServer, 'msg_1');
+  stream.write('{"token":"Hel"}\n{"token":"lo"}\n');
+  stream.end('{"done":true}\n');
+
+  const result = await relayed;
+  assert.equal(result.response, 'Hello');
+  assert.deepEqual(wsServer.frames.map(frame => frame.type), ['stream-start', 'stream-token', 'stream-token', 'stream-end']);
+});
+
+test('relayStream rejects a stream that ends without any answer', async () => {
+  const handler = new MessageHandler();
+  const wsServer = createWsServer();
+  const stream = new PassThrough();
+
+  const relayed = handler.relayStream('client', stream, 'sse', wsServer, 'msg_1');
+  stream.end(': keep-alive\n\n');
+
+  await assert.rejects(relayed, /ended without a response/);
+  assert.ok(!wsServer.frames.some(frame => frame.type === 'stream-end'));
+});
+
+test('categorizeUpstreamError maps axios error codes', () => {
+  const handler = new MessageHandler();
+  const withCode = code => Object.assign(new Error(code), { code });
+
+  assert.equal(handler.categorizeUpstreamError(withCode('ECONNABORTED')), 'timeout');
+  assert.equal(handler.categorizeUpstreamError(withCode('ETIMEDOUT')), 'timeout');
+  assert.equal(handler.categorizeUpstreamError(withCode('ENOTFOUND')), 'refused');
+  assert.equal(handler.categorizeUpstreamError(withCode('ECONNREFUSED')), 'refused');
+  assert.equal(handler.categorizeUpstreamError({ response: { status: 503 } }), '5xx');
+  assert.equal(handler.categorizeUpstreamError({ response: { status: 422 } }), '4xx');
+});
+
+test('callAIBackend removes its abort listener once the turn finishes', async () => {
+  const { getEventListeners } = require('events');
+  const handler = new MessageHandler();
+  const wsServer = { ...createWsServer(), recordSessionMessage: async () => {} };
+  const controller = new AbortController();
+  const stream = new PassThrough();
+  stream.end('{"token":"Hi"}\n{"done":true}\n');
+
+  handler.getAdapterForSession = () => ({
+    name: 'stub',
+    send: async () => ({ stream, contentType: 'application/x-ndjson', status: 200 })
+  });
+  handler.recordUpstreamMetrics = async () => {};
+
+  await handler.callAIBackend('client', { query: 'Hi', history: [] }, wsServer, {}, 'msg_1', controller.signal);
+
+  assert.equal(getEventListeners(controller.signal, 'abort').length, 0);
+  assert.ok(wsServer.frames.some(frame => frame.type === 'stream-end'));
+});
@@ -0,0 +1,77 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Counter, Gauge, Histogram, Registry } = require('../utils/metrics');
+
+test('counters render HELP, TYPE and one line per label set', async () => {
+  const registry = new Registry();
+  const counter = registry.register(new Counter({ name: 'requests_total', help: 'Requests', labelNames: ['method'] }));
+
+  counter.inc({ method: 'GET' });
+  counter.inc({ method: 'GET' }, 2);
+  counter.inc({ method: 'POST', ignored: 'x' });
+
+  assert.equal(await registry.render(), [
+    '# HELP requests_total Requests',
+    '# TYPE requests_total counter',
+    'requests_total{method="GET"} 3',
+    'requests_total{method="POST"} 1',
+    ''
+  ].join('\n'));
+});
+
+test('label values are escaped and missing labels render empty', async () => {
+  const registry = new Registry();
+  const counter = registry.register(new Counter({ name: 'events_total', help: 'Events', labelNames: ['name', 'kind'] }));
+
+  counter.inc({ name: 'say "hi"\\\nbye' });
+
+  const text = await registry.render();
+  assert.match(text, /^events_total\{name="say \\"hi\\"\\\\\\nbye",kind=""\} 1$/m);
+});
+
+test('histograms render cumulative buckets, +Inf, sum and count', async () => {
+  const registry = new Registry();
+  const histogram = registry.register(new Histogram({ name: 'duration_seconds', help: 'Duration', buckets: [1, 0.1] }));
+
+  histogram.observe({}, 0.05);
+  histogram.observe({}, 0.5);
+  histogram.observe({}, 3);
+
+  assert.equal(await registry.render(), [
+    '# HELP duration_seconds Duration',
+    '# TYPE duration_seconds histogram',
+    'duration_seconds_bucket{le="0.1"} 1',
+    'duration_seconds_bucket{le="1"} 2',
+    'duration_seconds_bucket{le="+Inf"} 3',
+    'duration_seconds_sum 3.55',
+    'duration_seconds_count 3',
+    ''
+  ].join('\n'));
+});
+
+test('gauge collectors run before rendering and a failing one leaves the gauge stale', async () => {
+  const registry = new Registry();
+  const live = registry.register(new Gauge({ name: 'live', help: 'Live', labelNames: ['state'] }));
+  const stale = registry.register(new Gauge({ name: 'stale', help: 'Stale' }));
+
+  live.setCollector(async (gauge) => {
+    gauge.reset();
+    gauge.set({ state: 'open' }, 4);
+  });
+  stale.set({}, 7);
+  stale.setCollector(async () => {
+    throw new Error('collector failed');
+  });
+
+  const originalError = console.error;
+  console.error = () => {};
+  let text;
+  try {
+    text = await registry.render();
+  } finally {
+    console.error = originalError;
+  }
+
+  assert.match(text, /^live\{state="open"\} 4$/m);
+  assert.match(text, /^stale 7$/m);
+});
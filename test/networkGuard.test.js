@@ -0,0 +1,28 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { isPrivateAddress, assertPublicUrl, publicOnlyLookup } = require('../utils/networkGuard');
+
+test('classifies loopback, private, link-local and mapped addresses as private', () => {
+  ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '0.0.0.0', '::1', 'fe80::1', 'fd00::1', '::ffff:127.0.0.1',
+    '64:ff9b::7f00:1']
+    .forEach(address => assert.equal(isPrivateAddress(address), true, address));
+
+  ['8.8.8.8', '::ffff:8.8.8.8', '2606:4700::1111', 'example.com']
+    .forEach(address => assert.equal(isPrivateAddress(address), false, address));
+});
+
+test('rejects URLs that name localhost or a private address in any notation', () => {
+  ['http://localhost:3000/hook', 'http://localhost./hook', 'http://api.localhost/hook', 'http://2130706433/',
+    'http://0x7f.1/', 'http://[::1]/', 'http://[::ffff:169.254.169.254]/latest/meta-data',
+    'http://[64:ff9b::a9fe:a9fe]/latest/meta-data']
+    .forEach(url => assert.throws(() => assertPublicUrl(url), /localhost|private/, url));
+
+  assert.doesNotThrow(() => assertPublicUrl('https://hooks.example.com/incoming'));
+});
+
+test('lookup refuses hostnames that resolve to private addresses', (t, done) => {
+  publicOnlyLookup('localhost', { all: true }, (error) => {
+    assert.equal(error.code, 'EPRIVATEADDRESS');
+    done();
+  });
+});
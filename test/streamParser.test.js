@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createStreamParser, detectStreamFormat } = require('../utils/streamParser');
+
+const parseChunks = (format, chunks) => {
+  const events = [];
+  const parser = createStreamParser(format, event => events.push(event));
+  chunks.forEach(chunk => parser.push(chunk));
+  parser.end();
+  return events;
+};
+
+test('keeps multibyte characters split across chunks', () => {
+  const line = Buffer.from('{"token":"Grüße 👋"}\n', 'utf8');
+  const splitAt = line.indexOf(Buffer.from('ü')) + 1;
+  const emojiAt = line.indexOf(Buffer.from('👋')) + 2;
+
+  const events = parseChunks('ndjson', [line.subarray(0, splitAt), line.subarray(splitAt, emojiAt), line.subarray(emojiAt)]);
+
+  assert.equal(events.length, 1);
+  assert.equal(events[0].token, 'Grüße 👋');
+});
+
+test('parses SSE data events and the [DONE] sentinel', () => {
+  const events = parseChunks('sse', [
+    ': keep-alive\n\n',
+    'data: {"token":"Hel"}\n\n',
+    'data: {"token":"lo"}\r\n\r\n',
+    'data: [DONE]\n\n'
+  ]);
+
+  assert.deepEqual(events.map(event => event.token), ['Hel', 'lo', '']);
+  assert.equal(events[2].done, true);
+});
+
+test('joins multi-line SSE data and treats plain text as a token', () => {
+  const events = parseChunks('sse', ['data: line one\ndata: line two\n\n']);
+
+  assert.equal(events.length, 1);
+  assert.equal(events[0].token, 'line one\nline two');
+  assert.equal(events[0].done, false);
+});
+
+test('parses NDJSON with lines split across chunks and no trailing newline', () => {
+  const events = parseChunks('ndjson', [
+    '{"token":"a"}\n{"tok',
+    'en":"b"}\n',
+    '{"done":true,"response":"ab","patient_context":[{"id":1}],"timestamp":"2025-01-01T00:00:00Z"}'
+  ]);
+
+  assert.deepEqual(events.map(event => event.token), ['a', 'b', '']);
+  assert.equal(events[2].done, true);
+  assert.equal(events[2].response, 'ab');
+  assert.deepEqual(events[2].patientContext, [{ id: 1 }]);
+  assert.equal(events[2].timestamp, '2025-01-01T00:00:00Z');
+});
+
+test('reads OpenAI-compatible delta chunks', () => {
+  const events = parseChunks('sse', [
+    'data: {"choices":[{"delta":{"role":"assistant"}}]}\n\n',
+    'data: {"choices":[{"delta":{"content":"Hi"}}]}\n\n',
+    'data: {"choices":[{"delta":{},"finish_reason":"stop"}]}\n\n',
+    'data: [DONE]\n\n'
+  ]);
+
+  assert.deepEqual(events.map(event => event.token), ['', 'Hi', '', '']);
+  assert.equal(events[3].done, true);
+});
+
+test('detects the stream format from the content type', () => {
+  assert.equal(detectStreamFormat('text/event-stream; charset=utf-8'), 'sse');
+  assert.equal(detectStreamFormat('application/x-ndjson'), 'ndjson');
+  assert.equal(detectStreamFormat('application/json'), null);
+});
@@ -0,0 +1,209 @@
+const axios = require('axios');
+const { getUpstreamClient } = require('./upstreamClient');
+
+/**
+ * AI backends used by MessageHandler. An adapter's send(requestData, { signal }) receives
+ * { query, patientId, patientName, history: [{ role, content }] } plus an AbortSignal that cancels the request,
+ * and resolves to either
+ * - { stream, contentType, status, retryCount } for an upstream body that MessageHandler relays (SSE/NDJSON)
+ *   or parses (JSON), or
+ * - { response, patient_context, timestamp } for a complete answer.
+ * An optional normalizeResponse(body) maps a non-streamed JSON body onto { response, patient_context, timestamp }.
+ * Upstream errors are thrown as axios errors (or CircuitOpenError) so MessageHandler can report them.
+ */
+
+/**
+ * The Python FastAPI medical chat endpoint
+ */
+class FastAPIAdapter {
+  constructor(baseUrl) {
+    this.name = 'fastapi';
+    this.upstream = getUpstreamClient(baseUrl, { name: 'Python AI API' });
+  }
+
+  async send(requestData, { signal = null } = {}) {
+    // The self-hosted FastAPI service keeps no state per answer and costs nothing per call,
+    // so a repeated question is harmless and timeouts and 5xx are retried too
+    const response = await this.upstream.request({
+      method: 'POST',
+      url: '/api/v1/chat/ai-response',
+      data: { ...requestData, stream: true },
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'text/event-stream, application/x-ndjson, application/json'
+      },
+      responseType: 'stream',
+      timeout: 30000,
+      signal
+    }, { idempotent: true });
+
+    return {
+      stream: response.data,
+      contentType: response.headers['content-type'],
+      status: response.status,
+      retryCount: response.retryCount
+    };
+  }
+}
+
+/**
+ * Any endpoint implementing the OpenAI chat completions API (OpenAI, Azure OpenAI, vLLM, Ollama, ...)
+ */
+class OpenAICompatibleAdapter {
+  constructor({ baseUrl, apiKey = null, model, systemPrompt }) {
+    this.name = 'openai';
+    this.apiKey = apiKey;
+    this.model = model;
+    this.systemPrompt = systemPrompt;
+    this.upstream = getUpstreamClient(baseUrl, {
+      name: 'OpenAI-compatible API',
+      healthProbe: () => this.checkHealth()
+    });
+  }
+
+  authHeaders() {
+    return this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {};
+  }
+
+  async checkHealth() {
+    try {
+      const response = await axios.get(`${this.upstream.baseUrl}/models`, {
+        headers: this.authHeaders(),
+        timeout: 5000
+      });
+      return response.status === 200;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async send(requestData, { signal = null } = {}) {
+    const messages = [
+      { role: 'system', content: this.systemPrompt },
+      ...(requestData.history || []),
+      { role: 'user', content: requestData.query }
+    ];
+
+    // Every completion that reaches the provider is generated and billed, so unlike the FastAPI adapter only
+    // failures to connect are retried, never timeouts or 5xx
+    const response = await this.upstream.request({
+      method: 'POST',
+      url: '/chat/completions',
+      data: {
+        model: this.model,
+        messages,
+        stream: true,
+        user: requestData.patientId
+      },
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'text/event-stream, application/json',
+        ...this.authHeaders()
+      },
+      responseType: 'stream',
+      timeout: 60000,
+      signal
+    }, { idempotent: false });
+
+    return {
+      stream: response.data,
+      contentType: response.headers['content-type'],
+      status: response.status,
+      retryCount: response.retryCount
+    };
+  }
+
+  normalizeResponse(body) {
+    const content = body?.choices?.[0]?.message?.content;
+
+    return {
+      response: typeof content === 'string' ? content : null,
+      patient_context: [],
+      timestamp: body?.created ? new Date(body.created * 1000).toISOString() : new Date().toISOString()
+    };
+  }
+}
+
+const DEFAULT_MOCK_ANSWERS = [
+  { keywords: ['hello', 'hi', 'hey'], response: 'Hello! I am a mock assistant. How can I help you today?' },
+  { keywords: ['appointment', 'book'], response: 'You can book an appointment through the patient portal or by calling the clinic.' },
+  { keywords: ['medication', 'medicine', 'dose'], response: 'Please follow the dosage on your prescription and check with your clinician before making changes.' }
+];
+
+/**
+ * Canned answers for local development and demos; no network calls
+ */
+class MockAdapter {
+  constructor({ delayMs = 0, answers = DEFAULT_MOCK_ANSWERS } = {}) {
+    this.name = 'mock';
+    this.delayMs = delayMs;
+    this.answers = answers;
+  }
+
+  async send(requestData, { signal = null } = {}) {
+    if (this.delayMs > 0) {
+      await new Promise((resolve, reject) => {
+        const onAbort = () => {
+          clearTimeout(timer);
+          reject(new Error('Request cancelled'));
+        };
+        const timer = setTimeout(() => {
+          signal?.removeEventListener('abort', onAbort);
+          resolve();
+        }, this.delayMs);
+        signal?.addEventListener('abort', onAbort, { once: true });
+      });
+    }
+
+    if (signal?.aborted) {
+      throw new Error('Request cancelled');
+    }
+
+    const words = requestData.query.toLowerCase().split(/\W+/);
+    const match = this.answers.find(answer => answer.keywords.some(keyword => words.includes(keyword)));
+
+    return {
+      response: match ? match.response : `This is a mock response to: "${requestData.query}"`,
+      patient_context: [],
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+const adapters = new Map(Object.entries({
+  fastapi: () => new FastAPIAdapter(process.env.FASTAPI_URL || 'http://localhost:8000'),
+  openai: () => new OpenAICompatibleAdapter({
+    baseUrl: process.env.AI_OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    apiKey: process.env.AI_OPENAI_API_KEY || null,
+    model: process.env.AI_OPENAI_MODEL || 'gpt-4o-mini',
+    systemPrompt: process.env.AI_OPENAI_SYSTEM_PROMPT || 'You are a helpful medical assistant. Do not give diagnoses; advise the patient to contact a clinician when in doubt.'
+  }),
+  mock: () => new MockAdapter({ delayMs: parseInt(process.env.AI_MOCK_DELAY_MS) || 0 })
+}));
+
+/**
+ * Make an adapter available to AI_BACKEND and AI_BACKEND_OVERRIDES
+ * @param {string} name - Backend name
+ * @param {Function} factory - Returns an object with an async send(requestData) method
+ */
+const registerAIAdapter = (name, factory) => {
+  adapters.set(name, factory);
+};
+
+const createAIAdapter = (name) => {
+  const factory = adapters.get(name);
+
+  if (!factory) {
+    throw new Error(`Unknown AI backend: ${name}`);
+  }
+
+  return factory();
+};
+
+module.exports = {
+  FastAPIAdapter,
+  OpenAICompatibleAdapter,
+  MockAdapter,
+  registerAIAdapter,
+  createAIAdapter
+};
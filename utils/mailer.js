@@ -0,0 +1,89 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Writes outgoing mail to the server log. Default transport for local development.
+ */
+class ConsoleTransport {
+  async send(mail) {
+    console.log(`
+--- Outgoing email -------------------------------------------
+To: ${mail.to}
+Subject: ${mail.subject}
+
+${mail.text}
+--------------------------------------------------------------`);
+    return { success: true, transport: 'console' };
+  }
+}
+
+/**
+ * Appends outgoing mail as JSON lines to a file so it can be inspected or picked up by tests.
+ */
+class FileTransport {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  async send(mail) {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.appendFile(
+      this.filePath,
+      JSON.stringify({ ...mail, sentAt: new Date().toISOString() }) + '\n'
+    );
+    return { success: true, transport: 'file' };
+  }
+}
+
+const transports = {
+  console: () => new ConsoleTransport(),
+  file: () => new FileTransport(process.env.MAIL_FILE_PATH || path.join('logs', 'mail.jsonl'))
+};
+
+/**
+ * Register an additional transport (e.g. SMTP or a provider API) selectable through MAIL_TRANSPORT.
+ * A transport is any object with an async send({ from, to, subject, text }) method.
+ * @param {string} name - Transport name
+ * @param {Function} factory - Returns a transport instance
+ */
+const registerTransport = (name, factory) => {
+  transports[name] = factory;
+};
+
+class Mailer {
+  constructor(transport, from) {
+    this.transport = transport;
+    this.from = from;
+  }
+
+  async send({ to, subject, text }) {
+    if (!to) {
+      throw new Error('Recipient address is required');
+    }
+
+    return this.transport.send({ from: this.from, to, subject, text });
+  }
+}
+
+/**
+ * Create a mailer using the transport named by MAIL_TRANSPORT (default: console)
+ * @returns {Mailer} Mailer instance
+ */
+const createMailer = () => {
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  const factory = transports[name];
+
+  if (!factory) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+
+  return new Mailer(factory(), process.env.MAIL_FROM || 'no-reply@chatbot.local');
+};
+
+module.exports = {
+  Mailer,
+  ConsoleTransport,
+  FileTransport,
+  registerTransport,
+  createMailer
+};
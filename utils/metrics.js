@@ -0,0 +1,290 @@
+/**
+ * Minimal Prometheus metrics registry (counters, gauges, histograms) rendered in the text exposition format.
+ * Instrumented code imports the shared metrics below; GET /metrics renders them.
+ */
+
+const DEFAULT_DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const AI_DURATION_BUCKETS = [0.1, 0.25, 0.5, 1, 2, 5, 10, 20, 30, 60];
+
+const escapeLabelValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  return '{' + entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',') + '}';
+};
+
+const formatValue = (value) => {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  return String(value);
+};
+
+class Metric {
+  constructor(type, { name, help, labelNames = [] }) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  // Labels outside labelNames are dropped and missing ones are rendered empty, so series keys stay stable
+  labelsFor(labels) {
+    const picked = {};
+    this.labelNames.forEach((name) => {
+      picked[name] = labels[name] === undefined || labels[name] === null ? '' : String(labels[name]);
+    });
+    return picked;
+  }
+
+  getSeries(labels, create) {
+    const picked = this.labelsFor(labels);
+    const key = JSON.stringify(picked);
+    if (!this.series.has(key)) {
+      this.series.set(key, create(picked));
+    }
+    return this.series.get(key);
+  }
+
+  header() {
+    return `# HELP ${this.name} ${this.help}\n# TYPE ${this.name} ${this.type}\n`;
+  }
+
+  reset() {
+    this.series.clear();
+  }
+}
+
+class Counter extends Metric {
+  constructor(options) {
+    super('counter', options);
+  }
+
+  inc(labels = {}, value = 1) {
+    this.getSeries(labels, picked => ({ labels: picked, value: 0 })).value += value;
+  }
+
+  render() {
+    let text = this.header();
+    this.series.forEach(({ labels, value }) => {
+      text += `${this.name}${formatLabels(labels)} ${formatValue(value)}\n`;
+    });
+    return text;
+  }
+}
+
+class Gauge extends Metric {
+  /**
+   * @param {Object} options - { name, help, labelNames, collect }: collect() is awaited before each render and
+   *   may reset() and set() the gauge from current state
+   */
+  constructor(options) {
+    super('gauge', options);
+    this.collect = options.collect || null;
+  }
+
+  setCollector(collect) {
+    this.collect = collect;
+  }
+
+  set(labels = {}, value) {
+    this.getSeries(labels, picked => ({ labels: picked, value: 0 })).value = value;
+  }
+
+  inc(labels = {}, value = 1) {
+    this.getSeries(labels, picked => ({ labels: picked, value: 0 })).value += value;
+  }
+
+  dec(labels = {}, value = 1) {
+    this.inc(labels, -value);
+  }
+
+  render() {
+    let text = this.header();
+    this.series.forEach(({ labels, value }) => {
+      text += `${this.name}${formatLabels(labels)} ${formatValue(value)}\n`;
+    });
+    return text;
+  }
+}
+
+class Histogram extends Metric {
+  constructor(options) {
+    super('histogram', options);
+    this.buckets = [...(options.buckets || DEFAULT_DURATION_BUCKETS)].sort((a, b) => a - b);
+  }
+
+  observe(labels = {}, value) {
+    const series = this.getSeries(labels, picked => ({
+      labels: picked,
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0
+    }));
+
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Start a timer; calling the returned function observes the elapsed seconds
+   */
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (extraLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe({ ...labels, ...extraLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  render() {
+    let text = this.header();
+    this.series.forEach(({ labels, counts, sum, count }) => {
+      this.buckets.forEach((bound, index) => {
+        text += `${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[index]}\n`;
+      });
+      text += `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}\n`;
+      text += `${this.name}_sum${formatLabels(labels)} ${sum}\n`;
+      text += `${this.name}_count${formatLabels(labels)} ${count}\n`;
+    });
+    return text;
+  }
+}
+
+class Registry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  /**
+   * Render every metric, running gauge collectors first. A failing collector only leaves its gauge stale.
+   * @returns {Promise<string>} Prometheus text exposition
+   */
+  async render() {
+    await Promise.all(this.metrics
+      .filter(metric => metric.collect)
+      .map(metric => Promise.resolve()
+        .then(() => metric.collect(metric))
+        .catch((error) => {
+          console.error(`Error collecting metric ${metric.name}:`, error);
+        })));
+
+    return this.metrics.map(metric => metric.render()).join('');
+  }
+}
+
+const registry = new Registry();
+
+const metrics = {
+  httpRequestsTotal: registry.register(new Counter({
+    name: 'http_requests_total',
+    help: 'HTTP requests by method, route and status code',
+    labelNames: ['method', 'route', 'status']
+  })),
+  httpRequestDuration: registry.register(new Histogram({
+    name: 'http_request_duration_seconds',
+    help: 'HTTP request duration in seconds by method, route and status code',
+    labelNames: ['method', 'route', 'status']
+  })),
+  wsConnections: registry.register(new Gauge({
+    name: 'websocket_connections',
+    help: 'Open WebSocket connections'
+  })),
+  wsMessagesTotal: registry.register(new Counter({
+    name: 'websocket_messages_total',
+    help: 'Incoming WebSocket messages by type',
+    labelNames: ['type']
+  })),
+  aiRequestDuration: registry.register(new Histogram({
+    name: 'ai_upstream_request_duration_seconds',
+    help: 'AI backend call duration in seconds, until the full answer, by backend and outcome',
+    labelNames: ['backend', 'outcome'],
+    buckets: AI_DURATION_BUCKETS
+  })),
+  aiFirstByteDuration: registry.register(new Histogram({
+    name: 'ai_upstream_first_byte_seconds',
+    help: 'Time until the AI backend started answering, in seconds, by backend and outcome',
+    labelNames: ['backend', 'outcome'],
+    buckets: AI_DURATION_BUCKETS
+  })),
+  escalations: registry.register(new Gauge({
+    name: 'escalations',
+    help: 'Escalations by status and priority',
+    labelNames: ['status', 'priority']
+  })),
+  mongoCommandDuration: registry.register(new Histogram({
+    name: 'mongodb_command_duration_seconds',
+    help: 'MongoDB command duration in seconds by command, collection and outcome',
+    labelNames: ['command', 'collection', 'outcome'],
+    buckets: [0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5]
+  }))
+};
+
+/**
+ * Express middleware counting and timing requests. The route label is the matched route pattern
+ * (e.g. /api/escalation/:escalationId) so IDs do not create new series; unmatched requests share one label.
+ */
+const httpMetricsMiddleware = (req, res, next) => {
+  const stopTimer = metrics.httpRequestDuration.startTimer();
+
+  res.on('finish', () => {
+    const labels = {
+      method: req.method,
+      route: req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched',
+      status: res.statusCode
+    };
+    stopTimer(labels);
+    metrics.httpRequestsTotal.inc(labels);
+  });
+
+  next();
+};
+
+/**
+ * Time MongoDB commands through the driver's command monitoring; the client must be created with
+ * { monitorCommands: true }
+ * @param {MongoClient} client - MongoDB client
+ */
+const instrumentMongoClient = (client) => {
+  const started = new Map();
+
+  client.on('commandStarted', (event) => {
+    const collection = event.command[event.commandName];
+    started.set(event.requestId, typeof collection === 'string' ? collection : '');
+  });
+
+  const finish = outcome => (event) => {
+    const collection = started.get(event.requestId) || '';
+    started.delete(event.requestId);
+    metrics.mongoCommandDuration.observe({ command: event.commandName, collection, outcome }, event.duration / 1000);
+  };
+
+  client.on('commandSucceeded', finish('success'));
+  client.on('commandFailed', finish('failure'));
+};
+
+module.exports = {
+  Counter,
+  Gauge,
+  Histogram,
+  Registry,
+  registry,
+  metrics,
+  httpMetricsMiddleware,
+  instrumentMongoClient
+};
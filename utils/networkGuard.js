@@ -0,0 +1,90 @@
+const dns = require('dns');
+const net = require('net');
+
+/**
+ * Keeps server-side requests to user-supplied URLs (webhooks) away from loopback, private and link-local
+ * addresses such as 127.0.0.1, 10.0.0.0/8 or the 169.254.169.254 cloud metadata endpoint.
+ */
+
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 3]
+].forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  // NAT64 embeds an IPv4 address, e.g. 64:ff9b::7f00:1 reaches 127.0.0.1 through a NAT64 gateway
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is loopback, private, link-local, multicast or otherwise not publicly routable.
+ * IPv4-mapped IPv6 addresses are checked against the IPv4 ranges.
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True for addresses outbound requests must not reach
+ */
+const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  if (family === 0) {
+    return false;
+  }
+  return blockedAddresses.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * Reject URLs that name a private address or localhost directly. Hostnames are checked again when they are
+ * resolved, see publicOnlyLookup.
+ * @param {string} url - Absolute http(s) URL
+ */
+const assertPublicUrl = (url) => {
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase();
+
+  if (hostname === 'localhost' || hostname.endsWith('.localhost')) {
+    throw new Error('url must not point to localhost');
+  }
+
+  if (isPrivateAddress(hostname)) {
+    throw new Error('url must not point to a private or loopback address');
+  }
+};
+
+/**
+ * dns.lookup replacement for http(s).Agent that fails when a hostname resolves to a private address, so a
+ * public name cannot be pointed at an internal host after the URL was validated
+ */
+const publicOnlyLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    if (addresses.some(isPrivateAddress)) {
+      const blocked = new Error(`${hostname} resolves to a private or loopback address`);
+      blocked.code = 'EPRIVATEADDRESS';
+      callback(blocked);
+      return;
+    }
+
+    callback(null, address, family);
+  });
+};
+
+module.exports = {
+  isPrivateAddress,
+  assertPublicUrl,
+  publicOnlyLookup
+};
@@ -0,0 +1,20 @@
+/**
+ * Normalize page and limit values from a query string or caller. Both are at least 1 and limit is capped,
+ * so a bad value can never produce a negative skip or $slice.
+ * @param {*} page - Requested page (1-based)
+ * @param {*} limit - Requested page size
+ * @param {Object} options - { defaultLimit, maxLimit }
+ * @returns {Object} { page, limit, skip }
+ */
+const parsePagination = (page, limit, { defaultLimit = 20, maxLimit = 100 } = {}) => {
+  const safePage = Math.max(parseInt(page) || 1, 1);
+  const safeLimit = Math.min(Math.max(parseInt(limit) || defaultLimit, 1), maxLimit);
+
+  return {
+    page: safePage,
+    limit: safeLimit,
+    skip: (safePage - 1) * safeLimit
+  };
+};
+
+module.exports = { parsePagination };
@@ -0,0 +1,53 @@
+const ROLES = ['admin', 'clinician', 'patient'];
+
+const DEFAULT_ROLE = 'patient';
+
+// Permissions granted to each role; admin is granted every permission
+const ROLE_PERMISSIONS = {
+  admin: ['*'],
+  clinician: [
+    'escalations:read-all',
+    'escalations:manage',
+    'analytics:read-all',
+    'feedback:read-all',
+    'files:upload'
+  ],
+  patient: [
+    'files:upload'
+  ]
+};
+
+/**
+ * Resolve the role carried by a decoded JWT or user document.
+ * Tokens issued before roles existed are treated as patients.
+ * @param {Object} user - Decoded token payload or user document
+ * @returns {string} Role name
+ */
+const getRole = (user) => {
+  return user && ROLES.includes(user.role) ? user.role : DEFAULT_ROLE;
+};
+
+/**
+ * Check whether a user has a permission
+ * @param {Object} user - Decoded token payload or user document
+ * @param {string} permission - Permission name, e.g. 'escalations:manage'
+ * @returns {boolean} True if the user's role grants the permission
+ */
+const hasPermission = (user, permission) => {
+  const permissions = ROLE_PERMISSIONS[getRole(user)] || [];
+  return permissions.includes('*') || permissions.includes(permission);
+};
+
+const isStaff = (user) => {
+  const role = getRole(user);
+  return role === 'admin' || role === 'clinician';
+};
+
+module.exports = {
+  ROLES,
+  DEFAULT_ROLE,
+  ROLE_PERMISSIONS,
+  getRole,
+  hasPermission,
+  isStaff
+};
@@ -0,0 +1,152 @@
+/**
+ * Fixed-window counters kept in process memory. Suitable for a single server instance.
+ */
+class MemoryStore {
+  constructor() {
+    this.windows = new Map();
+    this.cleanupInterval = setInterval(() => this.cleanup(), 60000);
+    this.cleanupInterval.unref();
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let entry = this.windows.get(key);
+
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      this.windows.set(key, entry);
+    }
+
+    entry.count += 1;
+    return { count: entry.count, resetAt: entry.resetAt };
+  }
+
+  cleanup() {
+    const now = Date.now();
+    this.windows.forEach((entry, key) => {
+      if (entry.resetAt <= now) {
+        this.windows.delete(key);
+      }
+    });
+  }
+}
+
+/**
+ * Fixed-window counters in MongoDB so limits are shared between server instances.
+ * The database is resolved lazily because the store is created before MongoDB connects.
+ */
+class MongoStore {
+  constructor(getDb, collectionName = 'rate_limits') {
+    this.getDb = getDb;
+    this.collectionName = collectionName;
+    this.collection = null;
+  }
+
+  async getCollection() {
+    if (!this.collection) {
+      const db = this.getDb();
+      if (!db) {
+        throw new Error('MongoDB connection not established for rate limit store');
+      }
+
+      this.collection = db.collection(this.collectionName);
+      try {
+        await this.collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+      } catch (error) {
+        console.error('Error creating rate limit indexes:', error);
+      }
+    }
+    return this.collection;
+  }
+
+  async increment(key, windowMs) {
+    const collection = await this.getCollection();
+    const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+    const resetAt = windowStart + windowMs;
+    const id = `${key}:${windowStart}`;
+
+    const update = async () => collection.findOneAndUpdate(
+      { _id: id },
+      {
+        $inc: { count: 1 },
+        $setOnInsert: { expiresAt: new Date(resetAt) }
+      },
+      { upsert: true, returnDocument: 'after' }
+    );
+
+    let record;
+    try {
+      record = await update();
+    } catch (error) {
+      // Two concurrent upserts of a new window can race on the _id; the retry increments the winner
+      if (error.code !== 11000) {
+        throw error;
+      }
+      record = await update();
+    }
+
+    return { count: record.count, resetAt };
+  }
+}
+
+/**
+ * Create the store named by RATE_LIMIT_STORE
+ * @param {string} type - 'memory' (default) or 'mongo'
+ * @param {Function} getDb - Returns the connected MongoDB database (used by the mongo store)
+ * @returns {MemoryStore|MongoStore} Store instance
+ */
+const createRateLimitStore = (type = 'memory', getDb = null) => {
+  if (type === 'mongo') {
+    return new MongoStore(getDb);
+  }
+  return new MemoryStore();
+};
+
+class RateLimiter {
+  /**
+   * @param {Object} options - { store, limit, windowMs, prefix }
+   */
+  constructor({ store, limit, windowMs, prefix = 'rl' }) {
+    this.store = store;
+    this.limit = limit;
+    this.windowMs = windowMs;
+    this.prefix = prefix;
+  }
+
+  /**
+   * Count one hit for a key
+   * @param {string} key - e.g. a user ID or IP address
+   * @returns {Promise<Object>} { allowed, limit, remaining, resetAt, retryAfter (seconds) }
+   */
+  async consume(key) {
+    try {
+      const { count, resetAt } = await this.store.increment(`${this.prefix}:${key}`, this.windowMs);
+      const allowed = count <= this.limit;
+
+      return {
+        allowed,
+        limit: this.limit,
+        remaining: Math.max(0, this.limit - count),
+        resetAt: new Date(resetAt),
+        retryAfter: allowed ? 0 : Math.max(1, Math.ceil((resetAt - Date.now()) / 1000))
+      };
+    } catch (error) {
+      // Fail open: an unavailable store must not take the API down with it
+      console.error('Rate limiter store error:', error.message);
+      return {
+        allowed: true,
+        limit: this.limit,
+        remaining: this.limit,
+        resetAt: new Date(Date.now() + this.windowMs),
+        retryAfter: 0
+      };
+    }
+  }
+}
+
+module.exports = {
+  MemoryStore,
+  MongoStore,
+  RateLimiter,
+  createRateLimitStore
+};
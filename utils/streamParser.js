@@ -0,0 +1,139 @@
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * Incremental parser for streaming AI responses.
+ * Supports Server-Sent Events (text/event-stream) and newline delimited JSON (application/x-ndjson).
+ * @param {string} format - 'sse' or 'ndjson'
+ * @param {Function} onEvent - Called with each normalized event { token, done, patientContext, timestamp }
+ * @returns {Object} Parser with push(chunk) and end() methods
+ */
+const createStreamParser = (format, onEvent) => {
+  // Keeps multibyte characters split across chunks intact
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+  let sseData = [];
+
+  const emitPayload = (raw) => {
+    const text = raw.trim();
+    if (!text) {
+      return;
+    }
+
+    if (text === '[DONE]') {
+      onEvent({ token: '', done: true });
+      return;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(text);
+    } catch (error) {
+      // Plain-text SSE data lines are treated as raw tokens
+      onEvent({ token: raw, done: false });
+      return;
+    }
+
+    onEvent(normalizeEvent(payload));
+  };
+
+  const handleLine = (line) => {
+    if (format === 'ndjson') {
+      emitPayload(line);
+      return;
+    }
+
+    if (line === '') {
+      if (sseData.length > 0) {
+        emitPayload(sseData.join('\n'));
+        sseData = [];
+      }
+      return;
+    }
+
+    if (line.startsWith(':')) {
+      return;
+    }
+
+    if (line.startsWith('data:')) {
+      sseData.push(line.slice(5).replace(/^ /, ''));
+    }
+  };
+
+  return {
+    push(chunk) {
+      buffer += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+      let newlineIndex;
+      while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, newlineIndex).replace(/\r$/, '');
+        buffer = buffer.slice(newlineIndex + 1);
+        handleLine(line);
+      }
+    },
+
+    end() {
+      buffer += decoder.end();
+      if (buffer.length > 0) {
+        handleLine(buffer.replace(/\r$/, ''));
+        buffer = '';
+      }
+      if (sseData.length > 0) {
+        emitPayload(sseData.join('\n'));
+        sseData = [];
+      }
+    }
+  };
+};
+
+/**
+ * Map the different upstream token shapes onto a single event format
+ * @param {Object} payload - Parsed JSON event from the upstream stream
+ * @returns {Object} Normalized event
+ */
+const normalizeEvent = (payload) => {
+  // OpenAI-compatible chat completion chunks carry the token in choices[0].delta.content
+  const token = payload.token ?? payload.delta ?? payload.content ?? payload.choices?.[0]?.delta?.content ?? '';
+  const done = payload.done === true || payload.type === 'end' || payload.event === 'end';
+
+  return {
+    token: typeof token === 'string' ? token : '',
+    done,
+    response: typeof payload.response === 'string' ? payload.response : null,
+    patientContext: payload.patient_context || null,
+    timestamp: payload.timestamp || null
+  };
+};
+
+/**
+ * Pick the parser format from the upstream Content-Type header
+ * @param {string} contentType - Response Content-Type header
+ * @returns {string|null} 'sse', 'ndjson' or null for a regular JSON body
+ */
+const detectStreamFormat = (contentType = '') => {
+  if (contentType.includes('text/event-stream')) {
+    return 'sse';
+  }
+  if (contentType.includes('application/x-ndjson') || contentType.includes('application/jsonl')) {
+    return 'ndjson';
+  }
+  return null;
+};
+
+/**
+ * Read an entire readable stream into a string
+ * @param {Readable} stream - Node.js readable stream
+ * @returns {Promise<string>} Stream contents
+ */
+const readStreamBody = (stream) => {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', (chunk) => chunks.push(Buffer.from(chunk)));
+    stream.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    stream.on('error', reject);
+  });
+};
+
+module.exports = {
+  createStreamParser,
+  detectStreamFormat,
+  readStreamBody
+};
@@ -0,0 +1,126 @@
+const BUCKET_INTERVALS = ['hour', 'day', 'week'];
+
+const formatters = new Map();
+
+const getFormatter = (timezone) => {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timezone);
+};
+
+/**
+ * Whether the runtime knows an IANA timezone name (e.g. 'Europe/Berlin')
+ * @param {string} timezone - Timezone name
+ * @returns {boolean} True if usable for bucketing
+ */
+const isValidTimezone = (timezone) => {
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Wall-clock date and time of an instant in a timezone
+ */
+const getZonedParts = (date, timezone) => {
+  const parts = {};
+  getFormatter(timezone).formatToParts(date).forEach(({ type, value }) => {
+    if (type !== 'literal') {
+      parts[type] = parseInt(value, 10);
+    }
+  });
+  return parts;
+};
+
+const getOffsetMs = (date, timezone) => {
+  const p = getZonedParts(date, timezone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Instant at which the given wall-clock time occurs in a timezone. Day overflow (day 32, day 0)
+ * is normalized like Date.UTC does.
+ */
+const zonedTimeToUtc = (year, month, day, hour, timezone) => {
+  const guess = Date.UTC(year, month - 1, day, hour);
+  const offset = getOffsetMs(new Date(guess), timezone);
+  const candidate = guess - offset;
+  const correctedOffset = getOffsetMs(new Date(candidate), timezone);
+
+  return new Date(correctedOffset === offset ? candidate : guess - correctedOffset);
+};
+
+/**
+ * Start of the hour, day or week (weeks start on Monday) containing an instant, in a timezone.
+ * Matches MongoDB's $dateTrunc with the same unit, timezone and startOfWeek 'monday'.
+ * @param {Date} date - Instant to truncate
+ * @param {string} interval - 'hour', 'day' or 'week'
+ * @param {string} timezone - IANA timezone name
+ * @returns {Date} Bucket start
+ */
+const truncateDate = (date, interval, timezone) => {
+  const p = getZonedParts(date, timezone);
+
+  if (interval === 'hour') {
+    return zonedTimeToUtc(p.year, p.month, p.day, p.hour, timezone);
+  }
+
+  if (interval === 'week') {
+    const dayOfWeek = new Date(Date.UTC(p.year, p.month - 1, p.day)).getUTCDay();
+    return zonedTimeToUtc(p.year, p.month, p.day - ((dayOfWeek + 6) % 7), 0, timezone);
+  }
+
+  return zonedTimeToUtc(p.year, p.month, p.day, 0, timezone);
+};
+
+const nextBucket = (start, interval, timezone) => {
+  if (interval === 'hour') {
+    return new Date(start.getTime() + 60 * 60 * 1000);
+  }
+
+  const p = getZonedParts(start, timezone);
+  return zonedTimeToUtc(p.year, p.month, p.day + (interval === 'week' ? 7 : 1), 0, timezone);
+};
+
+/**
+ * Every bucket start from the bucket containing `from` up to (excluding) `to`
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end (exclusive)
+ * @param {string} interval - 'hour', 'day' or 'week'
+ * @param {string} timezone - IANA timezone name
+ * @param {number} maxBuckets - Stop and throw past this many buckets
+ * @returns {Array<Date>} Bucket starts in chronological order
+ */
+const listBuckets = (from, to, interval, timezone, maxBuckets = Infinity) => {
+  const buckets = [];
+
+  for (let start = truncateDate(from, interval, timezone); start < to; start = nextBucket(start, interval, timezone)) {
+    if (buckets.length >= maxBuckets) {
+      throw new Error(`Range is too large: more than ${maxBuckets} ${interval} buckets`);
+    }
+    buckets.push(start);
+  }
+
+  return buckets;
+};
+
+module.exports = {
+  BUCKET_INTERVALS,
+  isValidTimezone,
+  truncateDate,
+  listBuckets
+};
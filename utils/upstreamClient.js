@@ -0,0 +1,231 @@
+const axios = require('axios');
+
+// Failures where the request never reached the upstream, so retrying cannot repeat any side effect
+const CONNECT_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'];
+
+// Failures that may have reached the upstream; only retried for idempotent requests
+const TRANSIENT_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EPIPE'];
+const TRANSIENT_STATUS_CODES = [502, 503, 504];
+
+class CircuitOpenError extends Error {
+  constructor(name, retryAfterMs) {
+    super(`${name} is temporarily unavailable (circuit open)`);
+    this.name = 'CircuitOpenError';
+    this.code = 'CIRCUIT_OPEN';
+    this.retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+  }
+}
+
+/**
+ * HTTP client for an upstream service with bounded retries and a circuit breaker.
+ * After failureThreshold consecutive upstream failures the circuit opens and requests fail fast with
+ * CircuitOpenError. Once resetTimeoutMs has passed, the next request runs the health probe (half-open);
+ * a healthy probe closes the circuit, otherwise it stays open for another resetTimeoutMs.
+ */
+class UpstreamClient {
+  /**
+   * @param {Object} options - { baseUrl, name, maxRetries, retryBaseMs, failureThreshold, resetTimeoutMs, healthProbe }
+   */
+  constructor({
+    baseUrl,
+    name = 'upstream',
+    maxRetries = parseInt(process.env.AI_MAX_RETRIES) || 2,
+    retryBaseMs = parseInt(process.env.AI_RETRY_BASE_MS) || 500,
+    failureThreshold = parseInt(process.env.AI_CIRCUIT_FAILURE_THRESHOLD) || 5,
+    resetTimeoutMs = parseInt(process.env.AI_CIRCUIT_RESET_MS) || 30000,
+    healthProbe = null
+  }) {
+    this.baseUrl = baseUrl;
+    this.name = name;
+    this.maxRetries = maxRetries;
+    this.retryBaseMs = retryBaseMs;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.healthProbe = healthProbe || this.defaultHealthProbe.bind(this);
+
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.probe = null;
+  }
+
+  setHealthProbe(healthProbe) {
+    this.healthProbe = healthProbe;
+  }
+
+  async defaultHealthProbe() {
+    try {
+      const response = await axios.get(`${this.baseUrl}/health`, { timeout: 5000 });
+      return response.status === 200;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Send a request through the breaker. `config.url` is resolved against the base URL.
+   * @param {Object|Function} config - axios request config, or a function building a fresh one per attempt
+   *   (needed when the body is a stream that cannot be sent twice)
+   * @param {Object} options - { idempotent: retry timeouts and 502/503/504 too, retries: override maxRetries }
+   * @returns {Promise<Object>} axios response, with the number of retries it took as `retryCount`
+   */
+  async request(config, { idempotent = false, retries = this.maxRetries } = {}) {
+    await this.ensureAvailable();
+
+    for (let attempt = 0; ; attempt++) {
+      const attemptConfig = typeof config === 'function' ? config() : config;
+      const requestConfig = {
+        ...attemptConfig,
+        url: attemptConfig.url.startsWith('http') ? attemptConfig.url : `${this.baseUrl}${attemptConfig.url}`
+      };
+
+      try {
+        const response = await axios(requestConfig);
+        this.recordSuccess();
+        response.retryCount = attempt;
+        return response;
+      } catch (error) {
+        const upstreamFailure = this.isUpstreamFailure(error);
+        if (upstreamFailure) {
+          this.recordFailure();
+        } else {
+          // A 4xx means the service is up and answering
+          this.recordSuccess();
+        }
+
+        error.retryCount = attempt;
+
+        if (attempt >= retries || !this.isRetryable(error, idempotent) || this.state === 'open') {
+          throw error;
+        }
+
+        // Release an unread streamed error body before trying again
+        if (error.response?.data && typeof error.response.data.destroy === 'function') {
+          error.response.data.destroy();
+        }
+
+        const delay = this.retryBaseMs * Math.pow(2, attempt);
+        console.warn(`${this.name} request failed (${error.response?.status || error.code}), retrying in ${delay}ms (${attempt + 1}/${retries})`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  isUpstreamFailure(error) {
+    if (error.response) {
+      return error.response.status >= 500;
+    }
+    return !axios.isCancel(error);
+  }
+
+  isRetryable(error, idempotent) {
+    if (axios.isCancel(error)) {
+      return false;
+    }
+    if (CONNECT_ERROR_CODES.includes(error.code)) {
+      return true;
+    }
+    if (!idempotent) {
+      return false;
+    }
+    if (error.response) {
+      return TRANSIENT_STATUS_CODES.includes(error.response.status);
+    }
+    return TRANSIENT_ERROR_CODES.includes(error.code);
+  }
+
+  /**
+   * Throw CircuitOpenError while open; after the reset timeout, let a single health probe decide
+   */
+  async ensureAvailable() {
+    if (this.state === 'closed') {
+      return;
+    }
+
+    const elapsed = Date.now() - this.openedAt;
+    if (this.state === 'open' && elapsed < this.resetTimeoutMs) {
+      throw new CircuitOpenError(this.name, this.resetTimeoutMs - elapsed);
+    }
+
+    if (!this.probe) {
+      this.state = 'half-open';
+      this.probe = this.runProbe();
+    }
+
+    const healthy = await this.probe;
+    if (!healthy) {
+      throw new CircuitOpenError(this.name, this.resetTimeoutMs);
+    }
+  }
+
+  async runProbe() {
+    let healthy = false;
+    try {
+      healthy = await this.healthProbe();
+    } catch (error) {
+      healthy = false;
+    }
+
+    if (healthy) {
+      console.log(`${this.name} health probe succeeded, closing circuit`);
+      this.state = 'closed';
+      this.consecutiveFailures = 0;
+      this.openedAt = null;
+    } else {
+      console.warn(`${this.name} health probe failed, circuit stays open`);
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+
+    this.probe = null;
+    return healthy;
+  }
+
+  recordSuccess() {
+    this.consecutiveFailures = 0;
+  }
+
+  recordFailure() {
+    this.consecutiveFailures++;
+
+    if (this.state === 'closed' && this.consecutiveFailures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+      console.error(`${this.name} circuit opened after ${this.consecutiveFailures} consecutive failures`);
+    }
+  }
+
+  isOpen() {
+    return this.state !== 'closed';
+  }
+
+  getState() {
+    return {
+      name: this.name,
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null
+    };
+  }
+}
+
+const clients = new Map();
+
+/**
+ * Shared client per base URL, so every caller of the same upstream trips the same breaker
+ * @param {string} baseUrl - Upstream base URL
+ * @param {Object} options - Constructor options used when the client is first created
+ * @returns {UpstreamClient} Shared client
+ */
+const getUpstreamClient = (baseUrl, options = {}) => {
+  if (!clients.has(baseUrl)) {
+    clients.set(baseUrl, new UpstreamClient({ ...options, baseUrl }));
+  }
+  return clients.get(baseUrl);
+};
+
+module.exports = {
+  UpstreamClient,
+  CircuitOpenError,
+  getUpstreamClient
+};
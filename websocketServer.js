@@ -1,9 +1,31 @@
 const WebSocket = require('ws');
 const url = require('url');
 const AuthService = require('./auth');
+const { RateLimiter } = require('./utils/rateLimiter');
+const AgentHandoffHandler = require('./agentHandoffHandler');
+const { hasPermission } = require('./utils/permissions');
+const AnalyticsService = require('./services/analyticsService');
+const ConversationService = require('./services/conversationService');
+const { metrics } = require('./utils/metrics');
+
+// Application close codes sent when a socket's credentials stop being valid
+const CLOSE_CODES = {
+  TOKEN_EXPIRED: 4001,
+  TOKEN_REVOKED: 4002,
+  USER_INACTIVE: 4003
+};
+
+// Message types reported in metrics as-is; anything else is counted as 'unknown'
+const METRIC_MESSAGE_TYPES = [
+  'reauth', 'chat', 'feedback', 'human-escalation', 'resume', 'ping', 'typing', 'cancel',
+  'agent-claim', 'agent-message', 'agent-release',
+  'escalation-subscribe', 'escalation-unsubscribe'
+];
+
+const ESCALATION_EVENTS = ['escalation-created', 'escalation-updated', 'escalation-overdue'];
 
 class WebSocketServer {
-  constructor(server, authService, feedbackService = null, messageHandler = null) {
+  constructor(server, authService, feedbackService = null, messageHandler = null, conversationService = null, options = {}) {
     this.wss = new WebSocket.Server({ 
       server,
       verifyClient: this.verifyClient.bind(this)
@@ -11,29 +33,95 @@ class WebSocketServer {
     this.authService = authService;
     this.feedbackService = feedbackService;
     this.messageHandler = messageHandler;
+    this.conversationService = conversationService;
+    this.escalationService = options.escalationService || null;
     this.clients = new Map();
     this.sessions = new Map();
+    // conversationId -> { active, pending } so a conversation's chat turns are answered one at a time. Turns still
+    // waiting when a client resumes another conversation are moved to that conversation's queue.
+    this.chatQueues = new Map();
+    this.chatQueueMaxDepth = parseInt(process.env.WS_CHAT_QUEUE_MAX_DEPTH) || 3;
+    this.sessionMessageLimit = parseInt(process.env.WS_SESSION_MESSAGE_LIMIT) || 100;
+    this.messageRateLimiters = options.rateLimitStore ? this.createMessageRateLimiters(options.rateLimitStore) : {};
+    this.handoffHandler = new AgentHandoffHandler(this, this.escalationService, conversationService);
+    this.escalationEventListeners = this.escalationService ? this.subscribeToEscalationEvents() : {};
+    metrics.wsConnections.setCollector(gauge => gauge.set({}, this.getClientCount()));
     
     this.setupEventHandlers();
   }
 
-  verifyClient(info) {
-    try {
-      const query = url.parse(info.req.url, true).query;
-      const token = query.token || info.req.headers.authorization?.replace('Bearer ', '');
-      
-      if (!token) {
-        console.log('WebSocket connection rejected: No token provided');
-        return false;
-      }
+  /**
+   * Per-user limits for every incoming message type. Types without a limiter of their own (resume, agent-claim,
+   * agent-release, escalation-subscribe, cancel, ping and unknown types) share the 'other' limiter.
+   * @param {Object} store - Rate limit store from createRateLimitStore
+   * @returns {Object} RateLimiter keyed by message type
+   */
+  createMessageRateLimiters(store) {
+    return {
+      'chat': new RateLimiter({
+        store,
+        limit: parseInt(process.env.RATE_LIMIT_WS_CHAT_PER_MINUTE) || 20,
+        windowMs: 60000,
+        prefix: 'ws:chat'
+      }),
+      'feedback': new RateLimiter({
+        store,
+        limit: parseInt(process.env.RATE_LIMIT_WS_FEEDBACK_PER_MINUTE) || 30,
+        windowMs: 60000,
+        prefix: 'ws:feedback'
+      }),
+      'human-escalation': new RateLimiter({
+        store,
+        limit: parseInt(process.env.RATE_LIMIT_WS_ESCALATION_PER_HOUR) || 5,
+        windowMs: 60 * 60 * 1000,
+        prefix: 'ws:escalation'
+      }),
+      'reauth': new RateLimiter({
+        store,
+        limit: parseInt(process.env.RATE_LIMIT_WS_REAUTH_PER_MINUTE) || 10,
+        windowMs: 60000,
+        prefix: 'ws:reauth'
+      }),
+      'agent-message': new RateLimiter({
+        store,
+        limit: parseInt(process.env.RATE_LIMIT_WS_AGENT_MESSAGE_PER_MINUTE) || 60,
+        windowMs: 60000,
+        prefix: 'ws:agent-message'
+      }),
+      'typing': new RateLimiter({
+        store,
+        limit: parseInt(process.env.RATE_LIMIT_WS_TYPING_PER_MINUTE) || 120,
+        windowMs: 60000,
+        prefix: 'ws:typing'
+      }),
+      'other': new RateLimiter({
+        store,
+        limit: parseInt(process.env.RATE_LIMIT_WS_OTHER_PER_MINUTE) || 60,
+        windowMs: 60000,
+        prefix: 'ws:other'
+      })
+    };
+  }
 
-      const decoded = this.authService.verifyToken(token);
-      info.req.user = decoded;
-      return true;
-    } catch (error) {
-      console.log('WebSocket connection rejected: Invalid token', error.message);
-      return false;
+  verifyClient(info, callback) {
+    const query = url.parse(info.req.url, true).query;
+    const token = query.token || info.req.headers.authorization?.replace('Bearer ', '');
+    
+    if (!token) {
+      console.log('WebSocket connection rejected: No token provided');
+      callback(false, 401, 'Unauthorized');
+      return;
     }
+
+    this.authService.verifyAccessToken(token)
+      .then((decoded) => {
+        info.req.user = decoded;
+        callback(true);
+      })
+      .catch((error) => {
+        console.log('WebSocket connection rejected: Invalid token', error.message);
+        callback(false, 401, 'Unauthorized');
+      });
   }
 
   setupEventHandlers() {
@@ -44,6 +132,8 @@ class WebSocketServer {
       this.clients.set(clientId, {
         ws,
         user,
+        tokenExpiresAt: user.exp ? user.exp * 1000 : null,
+        expiryWarningSent: false,
         connectedAt: new Date(),
         lastActivity: new Date()
       });
@@ -51,11 +141,19 @@ class WebSocketServer {
       this.sessions.set(clientId, {
         userId: user.userId,
         username: user.username,
+        tenantId: user.tenantId || null,
+        conversationId: this.generateConversationId(),
         messages: [],
         createdAt: new Date()
       });
 
       this.setupClientHandlers(ws, clientId);
+
+      const query = url.parse(req.url, true).query;
+      if (query.conversationId) {
+        const session = this.sessions.get(clientId);
+        session.pendingResume = this.resumeConversation(clientId, query.conversationId, query.lastMessageId, query.lastMessageType);
+      }
     });
 
     this.wss.on('error', (error) => {
@@ -94,6 +192,7 @@ class WebSocketServer {
     this.sendMessage(clientId, {
       type: 'connection',
       message: 'Connected to chatbot server',
+      conversationId: this.sessions.get(clientId)?.conversationId,
       timestamp: new Date().toISOString()
     });
   }
@@ -108,20 +207,40 @@ class WebSocketServer {
     }
 
     client.lastActivity = new Date();
+    metrics.wsMessagesTotal.inc({ type: METRIC_MESSAGE_TYPES.includes(message.type) ? message.type : 'unknown' });
 
-    session.messages.push({
-      ...message,
-      timestamp: new Date(),
-      from: 'user'
-    });
+    // Handled before the message is recorded so the token never reaches the session history
+    if (message.type === 'reauth') {
+      if (await this.consumeMessageLimit(clientId, session, 'reauth')) {
+        await this.handleReauth(clientId, message);
+      }
+      return;
+    }
 
-    console.log(`Message from ${session.username}: ${message.type}`);
+    // The periodic token check may not have closed the socket yet
+    if (client.tokenExpiresAt && Date.now() >= client.tokenExpiresAt) {
+      this.closeClient(clientId, CLOSE_CODES.TOKEN_EXPIRED, 'Token expired');
+      return;
+    }
+
+    // Queued before anything is awaited so chat turns keep their arrival order; the rate limit and the
+    // session record are applied when the turn runs
+    if (message.type === 'chat') {
+      this.enqueueChatMessage(clientId, message);
+      return;
+    }
+
+    if (session.pendingResume) {
+      await session.pendingResume;
+    }
+
+    if (!(await this.consumeMessageLimit(clientId, session, message.type))) {
+      return;
+    }
+
+    await this.noteIncomingMessage(session, message);
 
     switch (message.type) {
-      case 'chat':
-        await this.handleChatMessage(clientId, message);
-        break;
-      
       case 'feedback':
         await this.handleFeedbackMessage(clientId, message);
         break;
@@ -130,6 +249,38 @@ class WebSocketServer {
         await this.handleHumanEscalation(clientId, message);
         break;
       
+      case 'resume':
+        await this.handleResumeMessage(clientId, message);
+        break;
+      
+      case 'agent-claim':
+        await this.handoffHandler.handleClaim(clientId, message);
+        break;
+
+      case 'agent-message':
+        await this.handoffHandler.handleAgentMessage(clientId, message);
+        break;
+
+      case 'agent-release':
+        await this.handoffHandler.handleRelease(clientId, message);
+        break;
+
+      case 'typing':
+        this.handoffHandler.handleTyping(clientId, message);
+        break;
+
+      case 'escalation-subscribe':
+        this.handleEscalationSubscribe(clientId, message);
+        break;
+
+      case 'escalation-unsubscribe':
+        this.handleEscalationUnsubscribe(clientId);
+        break;
+
+      case 'cancel':
+        this.handleCancelMessage(clientId, message);
+        break;
+
       case 'ping':
         this.sendMessage(clientId, { type: 'pong', timestamp: new Date().toISOString() });
         break;
@@ -139,6 +290,191 @@ class WebSocketServer {
     }
   }
 
+  /**
+   * Apply the per-user limit for a message type, telling the client when the message is dropped
+   * @returns {Promise<boolean>} False if the message is over the limit
+   */
+  async consumeMessageLimit(clientId, session, messageType) {
+    const rateLimiter = this.messageRateLimiters[messageType] || this.messageRateLimiters.other;
+    if (!rateLimiter) {
+      return true;
+    }
+
+    const limit = await rateLimiter.consume(session.userId);
+    if (!limit.allowed) {
+      this.sendMessage(clientId, {
+        type: 'rate-limited',
+        messageType: messageType,
+        message: 'Too many messages. Please slow down.',
+        limit: limit.limit,
+        retryAfter: limit.retryAfter,
+        resetAt: limit.resetAt.toISOString(),
+        timestamp: new Date().toISOString()
+      });
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Note an incoming frame in the session. Only frames of a history type (chat, agent-message) are kept, and only
+   * their type; handlers record the full entries (chat turns once they have a messageId, escalation and handoff
+   * notices). Pings, typing indicators and the like are not kept.
+   */
+  async noteIncomingMessage(session, message) {
+    if (ConversationService.isHistoryMessage(message)) {
+      await this.recordSessionMessage(session, {
+        type: message.type,
+        timestamp: new Date(),
+        from: 'user'
+      }, { persist: false });
+    }
+
+    console.log(`Message from ${session.username}: ${message.type}`);
+  }
+
+  /**
+   * Queue a chat turn behind the conversation's earlier turns. Only chat messages are queued;
+   * everything else (ping, cancel, feedback, ...) is handled as soon as it arrives.
+   */
+  enqueueChatMessage(clientId, message) {
+    const session = this.sessions.get(clientId);
+    const queueKey = session.conversationId;
+    let queue = this.chatQueues.get(queueKey);
+
+    if (!queue) {
+      queue = { active: null, pending: [] };
+      this.chatQueues.set(queueKey, queue);
+    }
+
+    if (queue.pending.length >= this.chatQueueMaxDepth) {
+      this.sendMessage(clientId, {
+        type: 'queue-full',
+        message: 'Please wait for the current answers before sending more messages.',
+        maxDepth: this.chatQueueMaxDepth,
+        clientMessageId: message.clientMessageId || null,
+        timestamp: new Date().toISOString()
+      });
+      return;
+    }
+
+    queue.pending.push({ clientId, message });
+
+    if (queue.active) {
+      this.sendQueuePositions(queue);
+      return;
+    }
+
+    this.startChatQueue(queueKey, queue);
+  }
+
+  startChatQueue(queueKey, queue) {
+    this.drainChatQueue(queueKey, queue).catch((error) => {
+      console.error(`Error processing chat queue for conversation ${queueKey}:`, error);
+    });
+  }
+
+  /**
+   * Move a client's waiting chat turns to the queue of the conversation it resumed, behind any turns already
+   * waiting there
+   * @param {string} clientId - WebSocket client ID
+   * @param {string} fromConversationId - Conversation the turns were queued for
+   * @param {string} toConversationId - Conversation the client resumed
+   */
+  moveChatQueue(clientId, fromConversationId, toConversationId) {
+    const from = this.chatQueues.get(fromConversationId);
+    if (!from || fromConversationId === toConversationId) {
+      return;
+    }
+
+    const moving = from.pending.filter(item => item.clientId === clientId);
+    if (moving.length === 0) {
+      return;
+    }
+    from.pending = from.pending.filter(item => item.clientId !== clientId);
+    this.sendQueuePositions(from);
+
+    let queue = this.chatQueues.get(toConversationId);
+    if (!queue) {
+      queue = { active: null, pending: [] };
+      this.chatQueues.set(toConversationId, queue);
+    }
+    queue.pending.push(...moving);
+
+    if (queue.active) {
+      this.sendQueuePositions(queue);
+      return;
+    }
+
+    // The client's running turn also waits for the resume and is answered in the resumed conversation,
+    // so the moved turns start once it is done
+    if (from.active && from.active.clientId === clientId) {
+      queue.active = from.active;
+      queue.activeTurn = from.activeTurn;
+      this.sendQueuePositions(queue);
+      const start = () => this.startChatQueue(toConversationId, queue);
+      from.activeTurn.then(start, start);
+      return;
+    }
+
+    this.startChatQueue(toConversationId, queue);
+  }
+
+  async drainChatQueue(queueKey, queue) {
+    while (queue.pending.length > 0) {
+      queue.active = queue.pending.shift();
+      this.sendQueuePositions(queue);
+      try {
+        queue.activeTurn = this.runChatTurn(queue.active.clientId, queue.active.message);
+        await queue.activeTurn;
+      } catch (error) {
+        console.error(`Error processing chat turn for conversation ${queueKey}:`, error);
+      }
+    }
+
+    queue.active = null;
+    queue.activeTurn = null;
+    this.chatQueues.delete(queueKey);
+  }
+
+  /**
+   * Process one queued chat turn. The session is looked up now rather than when the turn was queued,
+   * so a turn queued before a resume is answered in the resumed conversation.
+   */
+  async runChatTurn(clientId, message) {
+    const session = this.sessions.get(clientId);
+    if (!session) {
+      return;
+    }
+
+    if (session.pendingResume) {
+      await session.pendingResume;
+    }
+
+    if (!(await this.consumeMessageLimit(clientId, session, message.type))) {
+      return;
+    }
+
+    await this.noteIncomingMessage(session, message);
+    await this.handleChatMessage(clientId, message);
+  }
+
+  /**
+   * Tell every waiting client how many chat turns are ahead of theirs (1 = answered next)
+   */
+  sendQueuePositions(queue) {
+    queue.pending.forEach((item, index) => {
+      this.sendMessage(item.clientId, {
+        type: 'queue-position',
+        position: index + 1,
+        queueLength: queue.pending.length,
+        clientMessageId: item.message.clientMessageId || null,
+        timestamp: new Date().toISOString()
+      });
+    });
+  }
+
   async handleChatMessage(clientId, message) {
     try {
       let messageHandler = this.messageHandler;
@@ -153,6 +489,15 @@ class WebSocketServer {
         return;
       }
 
+      // A human agent holds this conversation, so the message goes to them instead of the AI
+      // unless their socket has closed, in which case the handoff ends and the AI answers
+      const session = this.sessions.get(clientId);
+      if (session && this.handoffHandler.isHeld(session.conversationId)) {
+        if (await this.handoffHandler.forwardPatientMessage(clientId, message)) {
+          return;
+        }
+      }
+
       this.sendMessage(clientId, {
         type: 'typing',
         message: 'AI is thinking...',
@@ -167,6 +512,19 @@ class WebSocketServer {
     }
   }
 
+  handleCancelMessage(clientId, message) {
+    const session = this.sessions.get(clientId);
+
+    if (!message.messageId) {
+      this.sendError(clientId, 'messageId is required');
+      return;
+    }
+
+    if (!this.messageHandler || !this.messageHandler.cancelRequest(message.messageId, session.userId)) {
+      this.sendError(clientId, 'No response in progress for this messageId');
+    }
+  }
+
   async handleFeedbackMessage(clientId, message) {
     try {
       const session = this.sessions.get(clientId);
@@ -184,7 +542,7 @@ class WebSocketServer {
         return;
       }
 
-      const { messageId, feedbackType } = message;
+      const { messageId, feedbackType, rating, reasons, comment } = message;
       
       if (!messageId || !feedbackType) {
         this.sendError(clientId, 'messageId and feedbackType are required');
@@ -195,7 +553,14 @@ class WebSocketServer {
         this.sendError(clientId, 'feedbackType must be either "positive" or "negative"');
         return;
       }
-      const result = await analyticsService.updateFeedback(messageId, feedbackType);
+
+      const validation = AnalyticsService.validateFeedbackDetails({ rating, reasons, comment });
+      if (!validation.valid) {
+        this.sendError(clientId, validation.error);
+        return;
+      }
+
+      const result = await analyticsService.updateFeedback(messageId, feedbackType, session.userId, validation.details);
       this.sendMessage(clientId, {
         type: 'feedback-confirmation',
         success: true,
@@ -203,6 +568,9 @@ class WebSocketServer {
         feedbackType: feedbackType,
         positiveFeedback: result.positiveFeedback,
         negativeFeedback: result.negativeFeedback,
+        rating: result.rating,
+        reasons: result.reasons,
+        comment: result.comment,
         message: 'Feedback submitted successfully',
         timestamp: new Date().toISOString()
       });
@@ -215,35 +583,329 @@ class WebSocketServer {
     }
   }
 
-  async handleHumanEscalation(clientId, message) {
+  /**
+   * Swap the token of a live connection for a fresh one belonging to the same user
+   * @param {string} clientId - WebSocket client ID
+   * @param {Object} message - { type: 'reauth', token }
+   */
+  async handleReauth(clientId, message) {
+    const client = this.clients.get(clientId);
+
+    try {
+      if (!message.token) {
+        throw new Error('token is required');
+      }
+
+      const decoded = await this.authService.verifyAccessToken(message.token);
+
+      if (String(decoded.userId) !== String(client.user.userId)) {
+        throw new Error('Token belongs to a different user');
+      }
+
+      client.user = decoded;
+      client.tokenExpiresAt = decoded.exp ? decoded.exp * 1000 : null;
+      client.expiryWarningSent = false;
+
+      this.sendMessage(clientId, {
+        type: 'reauth-success',
+        expiresAt: client.tokenExpiresAt ? new Date(client.tokenExpiresAt).toISOString() : null,
+        timestamp: new Date().toISOString()
+      });
+
+      console.log(`Client ${clientId} re-authenticated`);
+    } catch (error) {
+      console.log(`Re-authentication failed for ${clientId}:`, error.message);
+      this.sendMessage(clientId, {
+        type: 'reauth-failed',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Warn clients whose token is about to expire and close sockets whose token expired,
+   * was revoked, or whose user was deactivated. Expiry is checked locally; revocation and deactivation
+   * for every open socket are looked up together in one batch.
+   */
+  async checkClientTokens() {
+    const warningMs = (parseInt(process.env.WS_TOKEN_EXPIRY_WARNING_SECONDS) || 60) * 1000;
+    const now = Date.now();
+    const toCheck = [];
+
+    for (const [clientId, client] of this.clients) {
+      if (client.ws.readyState !== WebSocket.OPEN) {
+        continue;
+      }
+
+      if (client.tokenExpiresAt && now >= client.tokenExpiresAt) {
+        this.closeClient(clientId, CLOSE_CODES.TOKEN_EXPIRED, 'Token expired');
+        continue;
+      }
+
+      toCheck.push([clientId, client, client.user]);
+    }
+
+    let statuses;
+    try {
+      statuses = await this.authService.getTokenStatuses(toCheck.map(([, , user]) => user));
+    } catch (error) {
+      console.error('Token status check failed:', error.message);
+      statuses = [];
+    }
+
+    toCheck.forEach(([clientId, client, user], index) => {
+      // The client may have disconnected or re-authenticated while the statuses were loading
+      if (this.clients.get(clientId) !== client || client.user !== user) {
+        return;
+      }
+
+      if (statuses[index] === 'revoked') {
+        this.closeClient(clientId, CLOSE_CODES.TOKEN_REVOKED, 'Token revoked');
+        return;
+      }
+
+      if (statuses[index] === 'inactive') {
+        this.closeClient(clientId, CLOSE_CODES.USER_INACTIVE, 'User deactivated');
+        return;
+      }
+
+      if (client.tokenExpiresAt && !client.expiryWarningSent && client.tokenExpiresAt - now <= warningMs) {
+        client.expiryWarningSent = true;
+        this.sendMessage(clientId, {
+          type: 'token-expiring',
+          expiresAt: new Date(client.tokenExpiresAt).toISOString(),
+          expiresIn: Math.max(0, Math.round((client.tokenExpiresAt - now) / 1000)),
+          timestamp: new Date().toISOString()
+        });
+      }
+    });
+  }
+
+  closeClient(clientId, code, reason) {
+    const client = this.clients.get(clientId);
+    if (!client) {
+      return;
+    }
+
+    console.log(`Closing WebSocket ${clientId}: ${reason} (${code})`);
+    if (client.ws.readyState === WebSocket.OPEN) {
+      client.ws.close(code, reason);
+    }
+    this.cleanupClient(clientId);
+  }
+
+  async handleResumeMessage(clientId, message) {
+    const { conversationId, lastMessageId, lastMessageType } = message;
     const session = this.sessions.get(clientId);
-    
-    if (!session) {
-      this.sendError(clientId, 'Session not found');
+
+    if (!conversationId) {
+      this.sendError(clientId, 'conversationId is required');
       return;
     }
 
-    session.messages.push({
-      type: 'system',
-      message: 'Human escalation requested',
-      timestamp: new Date(),
-      from: 'system'
-    });
+    // Queued chat turns wait for the resume and are then answered in the resumed conversation
+    session.pendingResume = this.resumeConversation(clientId, conversationId, lastMessageId, lastMessageType);
+    await session.pendingResume;
+  }
 
-    const response = {
-      type: 'human-escalation-response',
-      message: 'A human agent will contact you soon.',
-      timestamp: new Date().toISOString()
-    };
+  /**
+   * Reattach a client to one of its user's existing conversations and replay missed frames
+   * @param {string} clientId - WebSocket client ID
+   * @param {string} conversationId - Conversation to resume
+   * @param {string} lastMessageId - Last messageId the client received (optional)
+   * @param {string} lastMessageType - Type of that frame, e.g. 'ai-response' (optional, see getResumeState)
+   */
+  async resumeConversation(clientId, conversationId, lastMessageId = null, lastMessageType = null) {
+    const session = this.sessions.get(clientId);
 
-    this.sendMessage(clientId, response);
-    
-    session.messages.push({
-      ...response,
-      from: 'system'
-    });
+    try {
+      if (!session) {
+        return;
+      }
+
+      if (!this.conversationService) {
+        this.sendError(clientId, 'Conversation history is not available');
+        return;
+      }
+
+      const replayLimit = parseInt(process.env.WS_RESUME_REPLAY_LIMIT) || 50;
+      const state = await this.conversationService.getResumeState(
+        conversationId,
+        session.userId,
+        lastMessageId,
+        { replayLimit, lastMessageType }
+      );
+
+      if (!state) {
+        this.sendError(clientId, 'Conversation not found or unauthorized');
+        return;
+      }
+
+      const previousConversationId = session.conversationId;
+      session.conversationId = state.conversationId;
+      session.messages = state.recentMessages;
+      this.moveChatQueue(clientId, previousConversationId, state.conversationId);
+
+      if (state.gap) {
+        this.sendMessage(clientId, {
+          type: 'resume-gap',
+          conversationId: state.conversationId,
+          lastMessageId: lastMessageId,
+          message: 'lastMessageId not found; replaying the most recent messages instead',
+          replayCount: state.missedMessages.length,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      state.missedMessages.forEach((entry) => {
+        const { from, ...frame } = entry;
+        this.sendMessage(clientId, {
+          ...frame,
+          timestamp: new Date(entry.timestamp).toISOString(),
+          replayed: true
+        });
+      });
+
+      this.sendMessage(clientId, {
+        type: 'conversation-resumed',
+        conversationId: state.conversationId,
+        replayedCount: state.missedMessages.length,
+        gap: state.gap,
+        timestamp: new Date().toISOString()
+      });
+
+      this.handoffHandler.handlePatientConnected(clientId);
+
+      console.log(`Client ${clientId} resumed conversation ${state.conversationId} (${state.missedMessages.length} frames replayed)`);
+    } catch (error) {
+      console.error('Error resuming conversation:', error);
+      this.sendError(clientId, 'Failed to resume conversation');
+    } finally {
+      if (session) {
+        session.pendingResume = null;
+      }
+    }
+  }
+
+  async handleHumanEscalation(clientId, message) {
+    try {
+      const session = this.sessions.get(clientId);
+      
+      if (!session) {
+        this.sendError(clientId, 'Session not found');
+        return;
+      }
+
+      if (!this.escalationService) {
+        console.error('Escalation service not available');
+        this.sendError(clientId, 'Escalation service not available');
+        return;
+      }
+
+      const reason = message.reason || message.message || message.content;
+      const priorityLevel = message.priorityLevel || message.priority || 'medium';
+      const { contactNumber } = message;
+
+      if (!reason || !contactNumber) {
+        this.sendError(clientId, 'reason (or message) and contactNumber are required');
+        return;
+      }
+
+      const result = await this.escalationService.createEscalation(
+        session.userId,
+        reason,
+        contactNumber,
+        priorityLevel,
+        {
+          source: 'websocket',
+          conversationId: session.conversationId,
+          contactEmail: message.contactEmail || null,
+          transcript: this.buildEscalationTranscript(session)
+        }
+      );
+
+      await this.recordSessionMessage(session, {
+        type: 'system',
+        message: 'Human escalation requested',
+        escalationId: result.escalationId,
+        timestamp: new Date(),
+        from: 'system'
+      });
+
+      const response = {
+        type: 'human-escalation-response',
+        escalationId: result.escalationId,
+        status: result.status,
+        priorityLevel: result.priorityLevel,
+        message: 'A human agent will contact you soon.',
+        timestamp: new Date().toISOString()
+      };
+
+      this.sendMessage(clientId, response);
+      
+      await this.recordSessionMessage(session, {
+        ...response,
+        from: 'system'
+      });
+
+      console.log(`Human escalation ${result.escalationId} created by ${session.username}`);
+    } catch (error) {
+      console.error('Error handling human escalation:', error);
+      this.sendError(clientId, error.message || 'Failed to create escalation');
+    }
+  }
+
+  /**
+   * Recent chat turns attached to an escalation so agents can see what led to it
+   * @param {Object} session - WebSocket session
+   * @returns {Array} Transcript entries, oldest first
+   */
+  buildEscalationTranscript(session) {
+    const limit = parseInt(process.env.ESCALATION_TRANSCRIPT_MESSAGES) || 20;
+
+    return session.messages
+      .filter(entry => ['chat', 'ai-response', 'system'].includes(entry.type) && (entry.messageId || entry.from === 'system'))
+      .slice(-limit)
+      .map(entry => ({
+        from: entry.from,
+        type: entry.type,
+        message: entry.message,
+        messageId: entry.messageId || null,
+        timestamp: entry.timestamp
+      }));
+  }
+
+  /**
+   * Add a message to the in-memory session and persist it to the session's conversation.
+   * Only message types on the conversation history allow-list are persisted.
+   * @param {Object} session - Session from this.sessions
+   * @param {Object} entry - Message entry to record
+   * @param {Object} options - { persist: false } keeps the entry in memory only
+   */
+  async recordSessionMessage(session, entry, { persist = true } = {}) {
+    this.rememberSessionMessage(session, entry);
+
+    if (!persist || !ConversationService.isHistoryMessage(entry) || !this.conversationService || !session.conversationId) {
+      return;
+    }
+
+    try {
+      await this.conversationService.appendMessage(session.conversationId, session.userId, session.username, entry);
+    } catch (error) {
+      console.error(`Failed to persist message for conversation ${session.conversationId}:`, error);
+    }
+  }
 
-    console.log(`Human escalation requested by ${session.username}`);
+  /**
+   * Keep a message in the session's memory, dropping the oldest entries beyond WS_SESSION_MESSAGE_LIMIT.
+   * The full history stays in the conversation store.
+   */
+  rememberSessionMessage(session, entry) {
+    session.messages.push(entry);
+    if (session.messages.length > this.sessionMessageLimit) {
+      session.messages.splice(0, session.messages.length - this.sessionMessageLimit);
+    }
   }
 
   sendMessage(clientId, message) {
@@ -261,16 +923,135 @@ class WebSocketServer {
     });
   }
 
-  broadcastMessage(message) {
+  /**
+   * Send a message to every open client, or only to those accepted by filter(client, clientId)
+   */
+  broadcastMessage(message, filter = null) {
     this.clients.forEach((client, clientId) => {
-      if (client.ws.readyState === WebSocket.OPEN) {
+      if (client.ws.readyState === WebSocket.OPEN && (!filter || filter(client, clientId))) {
         this.sendMessage(clientId, message);
       }
     });
   }
 
+  /**
+   * Staff dashboards subscribe to live escalation events, optionally filtered
+   * @param {string} clientId - WebSocket client ID
+   * @param {Object} message - { type: 'escalation-subscribe', priorities, assignedTo ('me', 'unassigned' or a user ID) }
+   */
+  handleEscalationSubscribe(clientId, message) {
+    const client = this.clients.get(clientId);
+
+    if (!client || !hasPermission(client.user, 'escalations:read-all')) {
+      this.sendError(clientId, 'Insufficient permissions');
+      return;
+    }
+
+    if (!this.escalationService) {
+      this.sendError(clientId, 'Escalation service not available');
+      return;
+    }
+
+    let priorities = null;
+    if (message.priorities !== undefined && message.priorities !== null) {
+      priorities = (Array.isArray(message.priorities) ? message.priorities : [message.priorities])
+        .map(priority => String(priority).toLowerCase());
+    }
+
+    let assignedTo = message.assignedTo || null;
+    if (assignedTo === 'me') {
+      assignedTo = client.user.userId;
+    }
+
+    client.escalationSubscription = { priorities, assignedTo };
+
+    this.sendMessage(clientId, {
+      type: 'escalation-subscribed',
+      filters: client.escalationSubscription,
+      events: ESCALATION_EVENTS,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  handleEscalationUnsubscribe(clientId) {
+    const client = this.clients.get(clientId);
+    if (client) {
+      client.escalationSubscription = null;
+    }
+
+    this.sendMessage(clientId, {
+      type: 'escalation-unsubscribed',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  subscribeToEscalationEvents() {
+    const listeners = {};
+    ESCALATION_EVENTS.forEach((eventType) => {
+      listeners[eventType] = (escalation) => {
+        try {
+          this.publishEscalationEvent(eventType, escalation);
+        } catch (error) {
+          console.error(`Error publishing ${eventType}:`, error);
+        }
+      };
+      this.escalationService.on(eventType, listeners[eventType]);
+    });
+    return listeners;
+  }
+
+  /**
+   * Push an escalation event to subscribed staff clients whose filters match
+   * @param {string} eventType - escalation-created, escalation-updated or escalation-overdue
+   * @param {Object} escalation - Payload from EscalationService.toEventPayload
+   */
+  publishEscalationEvent(eventType, escalation) {
+    const frame = {
+      type: eventType,
+      escalation,
+      timestamp: new Date().toISOString()
+    };
+
+    this.broadcastMessage(frame, (client) => (
+      client.escalationSubscription &&
+      hasPermission(client.user, 'escalations:read-all') &&
+      this.matchesEscalationSubscription(client.escalationSubscription, escalation)
+    ));
+  }
+
+  matchesEscalationSubscription(subscription, escalation) {
+    if (subscription.priorities && !subscription.priorities.includes(escalation.priorityLevel)) {
+      return false;
+    }
+
+    if (subscription.assignedTo === 'unassigned') {
+      return !escalation.assignedTo;
+    }
+
+    // An escalation moving away from the watched agent is still relevant to them
+    if (subscription.assignedTo) {
+      return escalation.assignedTo === subscription.assignedTo || escalation.previousAssignee === subscription.assignedTo;
+    }
+
+    return true;
+  }
+
   cleanupClient(clientId) {
+    const session = this.sessions.get(clientId);
+
     this.clients.delete(clientId);
+    this.sessions.delete(clientId);
+
+    const queue = session ? this.chatQueues.get(session.conversationId) : null;
+    if (queue) {
+      queue.pending = queue.pending.filter(item => item.clientId !== clientId);
+    }
+    if (this.messageHandler) {
+      this.messageHandler.cancelClientRequests(clientId);
+    }
+    this.handoffHandler.handleDisconnect(clientId, session).catch((error) => {
+      console.error(`Error ending handoff for client ${clientId}:`, error);
+    });
     console.log(`Cleaned up client: ${clientId}`);
   }
 
@@ -278,6 +1059,10 @@ class WebSocketServer {
     return 'client_' + Math.random().toString(36).substr(2, 9) + '_' + Date.now();
   }
 
+  generateConversationId() {
+    return 'conv_' + Math.random().toString(36).substr(2, 9) + '_' + Date.now();
+  }
+
   getClientCount() {
     return this.clients.size;
   }
@@ -287,7 +1072,7 @@ class WebSocketServer {
   }
 
   startHealthCheck() {
-    setInterval(() => {
+    this.healthCheckInterval = setInterval(() => {
       this.clients.forEach((client, clientId) => {
         if (client.ws.readyState === WebSocket.OPEN) {
           client.ws.ping();
@@ -296,9 +1081,23 @@ class WebSocketServer {
         }
       });
     }, 30000);
+
+    const tokenCheckMs = parseInt(process.env.WS_TOKEN_CHECK_INTERVAL_MS) || 15000;
+    this.tokenCheckInterval = setInterval(() => {
+      this.checkClientTokens().catch((error) => {
+        console.error('Error checking client tokens:', error);
+      });
+    }, tokenCheckMs);
   }
 
   cleanup() {
+    clearInterval(this.healthCheckInterval);
+    clearInterval(this.tokenCheckInterval);
+
+    Object.entries(this.escalationEventListeners).forEach(([eventType, listener]) => {
+      this.escalationService.off(eventType, listener);
+    });
+
     this.clients.forEach((client) => {
       if (client.ws.readyState === WebSocket.OPEN) {
         client.ws.close();